@@ -0,0 +1,213 @@
+import fs from 'fs';
+import { join } from 'path';
+import { ARCHIVE_DIR } from './config.js';
+import { hashString } from './cdp.js';
+import { getTranscript } from './transcript.js';
+
+const SNIPPET_RADIUS = 80;
+const MAX_SEARCH_RESULTS = 100;
+
+/**
+ * Archived conversations, one JSON file each under ARCHIVE_DIR, keyed by
+ * project + chat title: { id, project, title, firstSeen, lastSeen, turns }.
+ * Everything is loaded on first use; writes go through one promise chain.
+ */
+let conversations = null;
+let writeChain = Promise.resolve();
+
+function archiveFile(id) {
+  return join(ARCHIVE_DIR, `${id}.json`);
+}
+
+function loadArchive() {
+  if (conversations) return conversations;
+  conversations = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(ARCHIVE_DIR).filter(f => f.endsWith('.json'));
+  } catch {}
+  for (const file of files) {
+    try {
+      const conv = JSON.parse(fs.readFileSync(join(ARCHIVE_DIR, file), 'utf8'));
+      if (conv && conv.id && Array.isArray(conv.turns)) conversations.set(conv.id, conv);
+    } catch (e) {
+      console.error(`[Archive] Skipping unreadable ${file}: ${e.message}`);
+    }
+  }
+  return conversations;
+}
+
+function saveConversation(conv) {
+  const data = JSON.stringify(conv);
+  const file = archiveFile(conv.id);
+  writeChain = writeChain
+    .then(async () => {
+      await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+      // Write-then-rename so a crash never leaves half a file behind.
+      await fs.promises.writeFile(`${file}.tmp`, data, { mode: 0o600 });
+      await fs.promises.rename(`${file}.tmp`, file);
+    })
+    .catch((e) => console.error(`[Archive] Could not save ${conv.id}: ${e.message}`));
+}
+
+/** Resolves once every archive write queued so far has landed. */
+export function archiveWritesSettled() {
+  return writeChain;
+}
+
+export function conversationId(project, title) {
+  return hashString(`${project}\n${title}`).slice(0, 12);
+}
+
+/**
+ * Fold the current transcript into the archived one. Turns are matched by
+ * their stable id, so turns the webview has since dropped are kept, changed
+ * turns are updated in place and new ones land after their predecessor.
+ * Turns ahead of the first known one go before it; with no overlap at all
+ * the current transcript is appended.
+ */
+function mergeTurns(archived, current) {
+  const turns = archived.slice();
+  const indexById = new Map(turns.map((t, i) => [t.id, i]));
+  const firstKnown = current.find(t => indexById.has(t.id));
+  let insertAt = firstKnown ? indexById.get(firstKnown.id) : turns.length;
+  for (const turn of current) {
+    const existing = indexById.get(turn.id);
+    if (existing !== undefined) {
+      turns[existing] = turn;
+      insertAt = existing + 1;
+      continue;
+    }
+    turns.splice(insertAt, 0, turn);
+    for (const [id, i] of indexById) if (i >= insertAt) indexById.set(id, i + 1);
+    indexById.set(turn.id, insertAt);
+    insertAt++;
+  }
+  return turns;
+}
+
+/** Store the cascade's current transcript. Returns the archive id, or null if there was nothing to save. */
+export function archiveCascade(cascade) {
+  if (!cascade.snapshot?.html) return null;
+  // Turns nobody could attribute are kept as the assistant's, as plain text.
+  const turns = getTranscript(cascade).map(t => (t.role === 'unknown'
+    ? { ...t, role: 'assistant', markdown: t.text }
+    : t));
+  if (turns.length === 0) return null;
+
+  const project = cascade.metadata?.projectName || '';
+  const title = cascade.metadata?.chatTitle || 'Untitled';
+  const id = conversationId(project, title);
+  const all = loadArchive();
+  const now = Date.now();
+  const existing = all.get(id);
+  const merged = existing ? mergeTurns(existing.turns, turns) : turns;
+  if (existing && JSON.stringify(merged) === JSON.stringify(existing.turns)) return id;
+
+  const conv = {
+    id,
+    project,
+    title,
+    firstSeen: existing?.firstSeen || now,
+    lastSeen: now,
+    turns: merged
+  };
+  all.set(id, conv);
+  saveConversation(conv);
+  return id;
+}
+
+// --- Read ---
+
+function summarize(conv) {
+  return {
+    id: conv.id,
+    project: conv.project,
+    title: conv.title,
+    firstSeen: conv.firstSeen,
+    lastSeen: conv.lastSeen,
+    turnCount: conv.turns.length
+  };
+}
+
+/** Archived conversations, most recently active first. */
+export function listArchive() {
+  return Array.from(loadArchive().values())
+    .sort((a, b) => b.lastSeen - a.lastSeen)
+    .map(summarize);
+}
+
+export function getArchivedConversation(id) {
+  return loadArchive().get(id) || null;
+}
+
+// --- Search ---
+
+function tokenize(query) {
+  return Array.from(new Set(query.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []));
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) count++;
+  return count;
+}
+
+function snippet(text, terms) {
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i !== -1));
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * Rank archived turns against `query`. Every term must appear in the turn or
+ * the conversation title; score grows with term frequency (dampened by turn
+ * length), an exact phrase match, title hits and recency.
+ */
+export function searchArchive(query, limit = 30) {
+  const terms = tokenize(query || '');
+  if (terms.length === 0) return [];
+  const phrase = query.trim().toLowerCase();
+  const now = Date.now();
+  const results = [];
+
+  for (const conv of loadArchive().values()) {
+    const title = `${conv.project} ${conv.title}`.toLowerCase();
+    const titleHits = terms.filter(t => title.includes(t)).length;
+    const ageDays = (now - conv.lastSeen) / 86400000;
+    const recency = 1 / (1 + ageDays / 30);
+
+    for (const turn of conv.turns) {
+      const text = turn.text || '';
+      const lower = text.toLowerCase();
+      let score = 0;
+      let matched = true;
+      for (const term of terms) {
+        const n = countOccurrences(lower, term);
+        if (n === 0 && !title.includes(term)) { matched = false; break; }
+        score += Math.log2(1 + n);
+      }
+      if (!matched || score === 0) continue;
+      score /= Math.log2(2 + text.length / 500);
+      if (terms.length > 1 && lower.includes(phrase)) score *= 2;
+      score += titleHits * 0.5;
+      score *= 0.5 + 0.5 * recency;
+      results.push({
+        conversationId: conv.id,
+        project: conv.project,
+        title: conv.title,
+        lastSeen: conv.lastSeen,
+        turnId: turn.id,
+        role: turn.role,
+        score: Math.round(score * 1000) / 1000,
+        snippet: snippet(text, terms)
+      });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.min(limit, MAX_SEARCH_RESULTS));
+}
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { ASSET_CACHE_MAX_BYTES } from './config.js';
+
+/**
+ * Images and fonts resolved out of the webview, addressed by content hash
+ * and served from /asset/:hash. Map order doubles as LRU order: a hit moves
+ * the entry to the end, eviction starts from the front.
+ */
+const assets = new Map();
+let totalBytes = 0;
+
+const EXTENSION_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+  webp: 'image/webp', svg: 'image/svg+xml', ico: 'image/x-icon', bmp: 'image/bmp',
+  avif: 'image/avif', woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf'
+};
+
+/** Content type for a resource, falling back to its file extension. */
+export function assetType(mime, url) {
+  const type = (mime || '').split(';')[0].trim().toLowerCase();
+  if (type && type !== 'application/octet-stream') return type;
+  const ext = (url || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[ext] || type;
+}
+
+/** Only images and fonts are worth serving; anything else is refused. */
+export function isAllowedAssetType(type) {
+  return /^image\//.test(type) || /^font\//.test(type) || /^application\/(x-)?font-/.test(type);
+}
+
+export function assetPath(hash) {
+  return `/asset/${hash}`;
+}
+
+/** Store `data` (a Buffer) and return its hash. */
+export function storeAsset(data, type) {
+  const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+  if (assets.has(hash)) {
+    touch(hash);
+    return hash;
+  }
+  assets.set(hash, { type, data });
+  totalBytes += data.length;
+  while (totalBytes > ASSET_CACHE_MAX_BYTES && assets.size > 1) {
+    const [oldest, entry] = assets.entries().next().value;
+    assets.delete(oldest);
+    totalBytes -= entry.data.length;
+  }
+  return hash;
+}
+
+function touch(hash) {
+  const entry = assets.get(hash);
+  assets.delete(hash);
+  assets.set(hash, entry);
+}
+
+export function hasAsset(hash) {
+  return assets.has(hash);
+}
+
+/** { type, data } or null if the hash is unknown or was evicted. */
+export function getAsset(hash) {
+  if (!assets.has(hash)) return null;
+  touch(hash);
+  return assets.get(hash);
+}
+
+/**
+ * Replace /asset/ references with data: URIs, for documents that must
+ * render without the server (exports).
+ */
+export function inlineAssetDataUris(text) {
+  return (text || '').replace(/\/asset\/([0-9a-f]{32})/g, (match, hash) => {
+    const asset = assets.get(hash);
+    return asset ? `data:${asset.type};base64,${asset.data.toString('base64')}` : match;
+  });
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import { AUDIT_FILE } from './config.js';
+import { clientIp } from './auth.js';
+import { getDevice } from './devices.js';
+import { redactText } from './redact.js';
+
+const MAX_PAYLOAD_CHARS = 2000;
+
+// Appends are chained so entries land on disk in the order they were recorded.
+let writeChain = Promise.resolve();
+
+// Secrets are masked before anything reaches the log; the log keeps no reveal store.
+function truncatePayload(payload) {
+  if (!payload) return null;
+  const out = {};
+  for (const [key, raw] of Object.entries(payload)) {
+    const value = typeof raw === 'string' ? redactText(raw) : raw;
+    const str = typeof value === 'string' ? value : JSON.stringify(value);
+    out[key] = str && str.length > MAX_PAYLOAD_CHARS
+      ? str.slice(0, MAX_PAYLOAD_CHARS) + `… (${str.length} chars)`
+      : value;
+  }
+  return out;
+}
+
+function summarizeResult(result) {
+  const { ok, reason, ...details } = result || {};
+  const out = { ok: !!ok };
+  for (const [key, value] of Object.entries(details)) {
+    if (value !== undefined && value !== null) out[key] = value;
+  }
+  if (!ok) out.reason = reason || 'unknown';
+  return out;
+}
+
+/**
+ * Record a state-changing action against a cascade.
+ * `result` is `{ ok, reason?, ...details }` as returned by the cdp.js helpers.
+ */
+export function recordAudit(req, action, cascade, payload, result) {
+  const device = getDevice(req.session?.did);
+  const entry = {
+    ts: new Date().toISOString(),
+    ip: clientIp(req),
+    deviceId: device?.id || null,
+    deviceName: device?.name || null,
+    action,
+    cascadeId: cascade?.id || req.params?.id || null,
+    project: cascade?.metadata?.projectName || '',
+    chatTitle: cascade?.metadata?.chatTitle || '',
+    payload: truncatePayload(payload),
+    result: summarizeResult(result)
+  };
+  const line = JSON.stringify(entry) + '\n';
+  writeChain = writeChain
+    .then(() => fs.promises.appendFile(AUDIT_FILE, line, { mode: 0o600 }))
+    .catch((e) => console.error(`[Audit] Could not write entry: ${e.message}`));
+  return entry;
+}
+
+/** Newest first. `offset` counts entries already seen from the newest end. */
+export async function readAudit({ offset = 0, limit = 50 } = {}) {
+  await writeChain;
+  let raw = '';
+  try {
+    raw = await fs.promises.readFile(AUDIT_FILE, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const lines = raw.split('\n').filter(Boolean);
+  const total = lines.length;
+  const end = Math.max(0, total - offset);
+  const start = Math.max(0, end - limit);
+  const entries = [];
+  for (let i = end - 1; i >= start; i--) {
+    try { entries.push(JSON.parse(lines[i])); } catch {}
+  }
+  const nextOffset = start > 0 ? offset + (end - start) : null;
+  return { entries, total, nextOffset };
+}
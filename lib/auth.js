@@ -0,0 +1,282 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { join } from 'path';
+import { PROJECT_DIR, SESSION_TTL_MS, LOGIN_MAX_ATTEMPTS, LOGIN_WINDOW_MS, METRICS_TOKEN } from './config.js';
+import { registerDevice, getDevice, touchDevice } from './devices.js';
+
+const AUTH_FILE = join(PROJECT_DIR, '.auth.json');
+const LONG_LIVED_COOKIE_MS = 400 * 24 * 60 * 60 * 1000;
+export const SESSION_COOKIE = 'vsclaude_session';
+
+// Paths reachable without a session: the login and pairing pages and what they need to render.
+const PUBLIC_PATHS = new Set([
+  '/login.html', '/js/login.js', '/pair.html', '/js/pair.js', '/css/main.css',
+  '/manifest.json', '/sw.js', '/icon-192.png', '/icon-512.png'
+]);
+
+export const ROLES = ['viewer', 'operator'];
+
+// Read-only routes a viewer may call; everything else past the gate is operator-only.
+const VIEWER_ROUTES = [
+  { method: 'GET', pattern: /^\/snapshot\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/styles\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/asset\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/conversations\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/history\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/api\/transcript\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/export\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/api\/search$/ },
+  { method: 'GET', pattern: /^\/api\/archive(\/[^/]+)?$/ },
+  // Checks REDACT_REVEAL_ROLES itself, so viewers can be granted reveal in config.
+  { method: 'POST', pattern: /^\/reveal\/[^/]+$/ }
+];
+
+function loadOrGenerateAuth() {
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
+  } catch {}
+
+  const data = {
+    secret: saved.secret || crypto.randomBytes(32).toString('hex'),
+    passcode: saved.passcode || crypto.randomBytes(6).toString('hex'),
+    viewerPasscode: saved.viewerPasscode || crypto.randomBytes(6).toString('hex')
+  };
+  if (data.secret !== saved.secret || data.passcode !== saved.passcode
+      || data.viewerPasscode !== saved.viewerPasscode) {
+    try {
+      fs.writeFileSync(AUTH_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+      console.log(`[Auth] Generated new auth secret -> ${AUTH_FILE}`);
+    } catch (e) {
+      console.error(`[Auth] Could not save auth secret: ${e.message}`);
+    }
+  }
+  return data;
+}
+
+const authData = loadOrGenerateAuth();
+const SESSION_SECRET = process.env.VSCLAUDE_SESSION_SECRET || authData.secret;
+const PASSCODES = {
+  operator: process.env.VSCLAUDE_PASSCODE || authData.passcode,
+  viewer: process.env.VSCLAUDE_VIEWER_PASSCODE || authData.viewerPasscode
+};
+const PASSCODE_ENV = { operator: 'VSCLAUDE_PASSCODE', viewer: 'VSCLAUDE_VIEWER_PASSCODE' };
+
+/** Printed once at startup so the operator can log in from a phone. */
+export function describePasscode(role = 'operator') {
+  const envName = PASSCODE_ENV[role];
+  return process.env[envName] ? `(set via ${envName})` : PASSCODES[role];
+}
+
+// --- Helpers ---
+
+function sign(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+export function parseCookies(header) {
+  const out = {};
+  if (!header) return out;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    const val = part.slice(idx + 1).trim();
+    if (!key) continue;
+    try { out[key] = decodeURIComponent(val); } catch { out[key] = val; }
+  }
+  return out;
+}
+
+export function clientIp(req) {
+  return (req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// --- Tokens ---
+
+/**
+ * Tokens are `<base64url payload>.<hmac>`; the payload carries the expiry,
+ * so verification needs no server-side session table.
+ */
+export function issueToken(claims = {}, ttlMs = SESSION_TTL_MS) {
+  const now = Date.now();
+  const payload = { ...claims, iat: now, exp: ttlMs ? now + ttlMs : 0 };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+export function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const dot = token.indexOf('.');
+  if (dot <= 0) return null;
+  const body = token.slice(0, dot);
+  const sig = token.slice(dot + 1);
+  if (!safeEqual(sig, sign(body))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract a token from `Authorization: Bearer` or the session cookie. Never
+ * from the query string: URLs end up in history and proxy logs, and paired
+ * device tokens do not expire.
+ */
+export function tokenFromRequest(req) {
+  const header = req.headers?.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  const cookies = parseCookies(req.headers?.cookie);
+  return cookies[SESSION_COOKIE] || null;
+}
+
+/**
+ * A valid signature is not enough: the device behind the token must not be
+ * revoked. The role is read from the device record so it can be changed
+ * without reissuing credentials.
+ */
+export function authenticate(req) {
+  const session = verifyToken(tokenFromRequest(req));
+  const device = session && getDevice(session.did);
+  if (!device) return null;
+  return { ...session, role: device.role };
+}
+
+/** A scraper presenting VSCLAUDE_METRICS_TOKEN; it opens /metrics and nothing else. */
+export function hasMetricsToken(req) {
+  if (!METRICS_TOKEN) return false;
+  const header = req.headers?.authorization || '';
+  if (!header.startsWith('Bearer ')) return false;
+  const given = Buffer.from(header.slice(7).trim());
+  const expected = Buffer.from(METRICS_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Register the caller as a device and hand it a credential. Passcode logins
+ * expire after SESSION_TTL_MS, and their device record with them; paired
+ * devices keep theirs until revoked.
+ */
+export function startSession(req, res, method, role) {
+  const ttlMs = method === 'pairing' ? 0 : SESSION_TTL_MS;
+  // Signing in again from a browser that is still signed in renews its device.
+  const current = verifyToken(tokenFromRequest(req));
+  const device = registerDevice({
+    userAgent: req.headers['user-agent'],
+    ip: clientIp(req),
+    method,
+    role,
+    ttlMs,
+    reuseId: current?.did
+  });
+  const token = issueToken({ sub: 'device', did: device.id }, ttlMs);
+  setSessionCookie(req, res, token, ttlMs || LONG_LIVED_COOKIE_MS);
+  return { device, token };
+}
+
+// --- Login ---
+
+const loginAttempts = new Map();
+
+function isRateLimited(ip) {
+  const now = Date.now();
+  const entry = loginAttempts.get(ip);
+  if (!entry || now - entry.start > LOGIN_WINDOW_MS) return false;
+  return entry.count >= LOGIN_MAX_ATTEMPTS;
+}
+
+function recordFailure(ip) {
+  const now = Date.now();
+  // Forget sources whose window has passed, or every failing IP stays forever.
+  for (const [key, stale] of loginAttempts) {
+    if (now - stale.start > LOGIN_WINDOW_MS) loginAttempts.delete(key);
+  }
+  const entry = loginAttempts.get(ip);
+  if (!entry || now - entry.start > LOGIN_WINDOW_MS) {
+    loginAttempts.set(ip, { start: now, count: 1 });
+  } else {
+    entry.count++;
+  }
+}
+
+/** Resolves the role the passcode grants; both are compared to keep timing uniform. */
+export function checkPasscode(ip, passcode) {
+  if (isRateLimited(ip)) return { ok: false, status: 429, reason: 'Too many attempts, try again later' };
+  const isOperator = !!passcode && safeEqual(passcode, PASSCODES.operator);
+  const isViewer = !!passcode && safeEqual(passcode, PASSCODES.viewer);
+  if (!isOperator && !isViewer) {
+    recordFailure(ip);
+    return { ok: false, status: 401, reason: 'Invalid passcode' };
+  }
+  loginAttempts.delete(ip);
+  return { ok: true, role: isOperator ? 'operator' : 'viewer' };
+}
+
+export function setSessionCookie(req, res, token, ttlMs = SESSION_TTL_MS) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict'
+  ];
+  if (ttlMs) parts.push(`Max-Age=${Math.floor(ttlMs / 1000)}`);
+  if (req.secure) parts.push('Secure');
+  res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+export function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+// --- Middleware ---
+
+export function isPublicPath(path) {
+  return PUBLIC_PATHS.has(path);
+}
+
+/**
+ * Express middleware: every route except the login page requires a valid
+ * token. Browsers navigating to a page are redirected to the login screen,
+ * API callers get a 401.
+ */
+export function requireAuth(req, res, next) {
+  if (isPublicPath(req.path)) return next();
+  const session = authenticate(req);
+  if (session) {
+    req.session = session;
+    touchDevice(session.did, clientIp(req));
+    return next();
+  }
+  if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+    return res.redirect('/login.html');
+  }
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+/**
+ * Express middleware mounted after the routes every signed-in device may use.
+ * Viewers only get through for the read-only routes in VIEWER_ROUTES.
+ */
+export function requireOperatorUnlessViewerRoute(req, res, next) {
+  if (req.session?.role === 'operator') return next();
+  const allowed = VIEWER_ROUTES.some(r => r.method === req.method && r.pattern.test(req.path));
+  if (allowed) return next();
+  res.status(403).json({ error: 'Forbidden: operator role required' });
+}
+
+/** `verifyClient` hook for WebSocketServer: reject unauthenticated upgrades. */
+export function verifyWsClient(info, cb) {
+  const session = authenticate(info.req);
+  if (!session) return cb(false, 401, 'Unauthorized');
+  info.req.session = session;
+  cb(true);
+}
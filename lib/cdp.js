@@ -3,8 +3,15 @@ import crypto from 'crypto';
 import WebSocket from 'ws';
 import {
   ROOT_SELECTORS, INPUT_SELECTORS, SEND_SELECTORS,
-  MIN_TEXT_LEN, CASCADE_WRAPPER_ID, MAX_HTTP_RESPONSE_BYTES, CDP_CALL_TIMEOUT
+  MIN_TEXT_LEN, CASCADE_WRAPPER_ID, MAX_HTTP_RESPONSE_BYTES, CDP_CALL_TIMEOUT, ASSET_MAX_BYTES,
+  TURN_DETECTION_MODE
 } from './config.js';
+import { sanitizeSnapshotHtml } from './sanitize.js';
+import { scopeCss } from './css.js';
+import { storeAsset, hasAsset, assetType, isAllowedAssetType, assetPath } from './assets.js';
+import { cdpCallDuration, cdpCallTimeouts, contextFallbacks } from './metrics.js';
+import { pageSelectors } from './profiles.js';
+import { pageTurnDetection } from './turns.js';
 
 // --- Helpers ---
 
@@ -58,9 +65,16 @@ function isLocalWebSocketUrl(url) {
 
 /**
  * Connect to a CDP target via WebSocket.
- * FIX #2: Added timeout to call() and explicit cleanup() method.
+ *
+ * One message listener dispatches every frame: command responses resolve the
+ * matching entry in `pending`, events go to handlers registered with on().
+ * `sessionId` addresses flattened child targets (Target.attachToTarget with
+ * flatten: true); events from those sessions carry it as their second argument.
+ * When the socket closes, every in-flight call is rejected.
+ * Pass `{ runtime: false }` for endpoints without a Runtime domain (the
+ * browser target).
  */
-export async function connectCDP(url) {
+export async function connectCDP(url, options = {}) {
   if (!isLocalWebSocketUrl(url)) {
     throw new Error(`Refused non-local WebSocket URL: ${url}`);
   }
@@ -73,60 +87,118 @@ export async function connectCDP(url) {
   });
 
   let idCounter = 1;
-  const call = (method, params) => new Promise((resolve, reject) => {
-    const id = idCounter++;
-    let settled = false;
+  const pending = new Map();
+  const listeners = new Map();
+  let closed = false;
+
+  const settle = (id) => {
+    const entry = pending.get(id);
+    if (!entry) return null;
+    pending.delete(id);
+    clearTimeout(entry.timeoutId);
+    return entry;
+  };
+
+  ws.on('message', (raw) => {
+    let data;
+    try { data = JSON.parse(raw); } catch { return; }
+    if (data.id !== undefined) {
+      const entry = settle(data.id);
+      if (!entry) return;
+      if (data.error) entry.reject(data.error);
+      else entry.resolve(data.result);
+      return;
+    }
+    const handlers = data.method && listeners.get(data.method);
+    if (!handlers) return;
+    for (const fn of [...handlers]) {
+      try { fn(data.params || {}, data.sessionId); } catch (e) {
+        console.error(`[CDP] ${data.method} handler failed: ${e.message}`);
+      }
+    }
+  });
 
+  const call = (method, params = {}, sessionId) => new Promise((resolve, reject) => {
+    if (closed) {
+      reject(new Error(`CDP connection closed: ${method}`));
+      return;
+    }
+    const id = idCounter++;
+    const stopTimer = cdpCallDuration.startTimer({ method });
     const timeoutId = setTimeout(() => {
-      if (settled) return;
-      settled = true;
-      ws.off('message', handler);
+      if (!settle(id)) return;
+      stopTimer({ outcome: 'timeout' });
+      cdpCallTimeouts.inc({ method });
       reject(new Error(`CDP call timeout: ${method}`));
     }, CDP_CALL_TIMEOUT);
+    pending.set(id, {
+      resolve: (value) => { stopTimer({ outcome: 'ok' }); resolve(value); },
+      reject: (err) => { stopTimer({ outcome: 'error' }); reject(err); },
+      timeoutId
+    });
+    const msg = { id, method, params };
+    if (sessionId) msg.sessionId = sessionId;
+    ws.send(JSON.stringify(msg), (err) => {
+      if (err && settle(id)) reject(err);
+    });
+  });
 
-    const handler = (msg) => {
-      try {
-        const data = JSON.parse(msg);
-        if (data.id === id) {
-          if (settled) return;
-          settled = true;
-          clearTimeout(timeoutId);
-          ws.off('message', handler);
-          if (data.error) reject(data.error);
-          else resolve(data.result);
-        }
-      } catch {}
+  /** Subscribe to a CDP event. Returns an unsubscribe function. */
+  const on = (method, fn) => {
+    if (!listeners.has(method)) listeners.set(method, new Set());
+    listeners.get(method).add(fn);
+    return () => {
+      const handlers = listeners.get(method);
+      if (!handlers) return;
+      handlers.delete(fn);
+      if (handlers.size === 0) listeners.delete(method);
     };
-    ws.on('message', handler);
-    ws.send(JSON.stringify({ id, method, params }));
+  };
+
+  /** call()/on() bound to one flattened child-target session. */
+  const session = (sessionId) => ({
+    sessionId,
+    call: (method, params) => call(method, params, sessionId),
+    on: (method, fn) => on(method, (params, sid) => {
+      if (sid === sessionId) fn(params, sid);
+    })
   });
 
+  // Execution contexts of the target itself, not of attached sessions.
   const contexts = [];
-  const contextHandler = (msg) => {
-    try {
-      const data = JSON.parse(msg);
-      if (data.method === 'Runtime.executionContextCreated') {
-        contexts.push(data.params.context);
-      } else if (data.method === 'Runtime.executionContextDestroyed') {
-        const idx = contexts.findIndex(c => c.id === data.params.executionContextId);
-        if (idx !== -1) contexts.splice(idx, 1);
-      }
-    } catch {}
-  };
-  ws.on('message', contextHandler);
+  on('Runtime.executionContextCreated', (params, sid) => {
+    if (!sid) contexts.push(params.context);
+  });
+  on('Runtime.executionContextDestroyed', (params, sid) => {
+    if (sid) return;
+    const idx = contexts.findIndex(c => c.id === params.executionContextId);
+    if (idx !== -1) contexts.splice(idx, 1);
+  });
+  on('Runtime.executionContextsCleared', (params, sid) => {
+    if (!sid) contexts.length = 0;
+  });
 
   const cleanup = () => {
-    ws.off('message', contextHandler);
+    if (closed) return;
+    closed = true;
+    const err = new Error('CDP connection closed');
+    for (const id of [...pending.keys()]) settle(id).reject(err);
+    listeners.clear();
     ws.removeAllListeners();
+    // A late socket error must not become an uncaught exception.
+    ws.on('error', () => {});
     try { ws.close(); } catch {}
   };
 
   ws.on('close', cleanup);
+  ws.on('error', () => {});
 
-  await call('Runtime.enable', {});
-  await new Promise(r => setTimeout(r, 300));
+  if (options.runtime !== false) {
+    await call('Runtime.enable', {});
+    await new Promise(r => setTimeout(r, 300));
+  }
 
-  return { ws, call, contexts, rootContextId: null, cleanup };
+  return { ws, call, on, session, contexts, rootContextId: null, cleanup };
 }
 
 // --- Context Evaluation ---
@@ -159,11 +231,12 @@ export async function evaluateInContexts(cdp, expression, options = {}) {
   };
 
   const contexts = getContextIds(cdp);
-  for (const contextId of contexts) {
+  for (const [i, contextId] of contexts.entries()) {
     try {
       const res = await tryEval(contextId);
       const value = res?.result?.value;
       if (!validator || validator(value)) {
+        if (i > 0) contextFallbacks.inc({ to: 'context' });
         return { value, contextId };
       }
     } catch {}
@@ -173,23 +246,30 @@ export async function evaluateInContexts(cdp, expression, options = {}) {
     const res = await tryEval(null);
     const value = res?.result?.value;
     if (!validator || validator(value)) {
+      if (contexts.length > 0) contextFallbacks.inc({ to: 'default' });
       return { value, contextId: null };
     }
   } catch {}
 
+  contextFallbacks.inc({ to: 'none' });
   return null;
 }
 
 // --- Capture Functions ---
 
-export async function extractMetadata(cdp) {
+/**
+ * Chat title and focus of a Claude webview, or null if the target is not
+ * one. Pass `report` to learn why not: report.reason is set to a short
+ * explanation (workbench page, too little text, evaluation failed).
+ */
+export async function extractMetadata(cdp, report) {
   const SCRIPT = `(() => {
     const selectors = ${JSON.stringify(ROOT_SELECTORS)};
     const minTextLen = ${MIN_TEXT_LEN};
     const isWorkbench = !!document.querySelector('.monaco-workbench, #workbench')
       || (document.body && document.body.className && document.body.className.includes('monaco-workbench'));
 
-    if (isWorkbench) return { found: false };
+    if (isWorkbench) return { found: false, reason: 'workbench page' };
 
     const findRoot = () => {
       for (const sel of selectors) {
@@ -202,9 +282,11 @@ export async function extractMetadata(cdp) {
     };
 
     const root = findRoot();
-    if (!root) return { found: false };
+    if (!root) return { found: false, reason: 'no root element' };
     const text = (root.innerText || '').trim();
-    if (text.length < minTextLen) return { found: false };
+    if (text.length < minTextLen) {
+      return { found: false, reason: 'text shorter than MIN_TEXT_LEN (' + text.length + ' < ' + minTextLen + ')' };
+    }
 
     let title = document.title || null;
     const titleSelectors = ['h1', 'h2', '[data-testid*="title" i]', '[class*="title" i]'];
@@ -223,52 +305,117 @@ export async function extractMetadata(cdp) {
     };
   })()`;
 
+  let rejection = null;
   const result = await evaluateInContexts(cdp, SCRIPT, {
-    validator: (value) => value && value.found
+    validator: (value) => {
+      if (value && value.found) return true;
+      if (value && value.reason) rejection = value.reason;
+      return false;
+    }
   });
 
-  if (!result) return null;
+  if (!result) {
+    if (report) report.reason = rejection || 'evaluation failed in every context';
+    return null;
+  }
   if (result.contextId !== null && result.contextId !== undefined) {
     cdp.rootContextId = result.contextId;
   }
   return { ...result.value, contextId: result.contextId };
 }
 
+/**
+ * How well each selector profile fits a webview: { version, matches } where
+ * matches counts, per profile name, the `detect` selectors present. The
+ * extension version is read from the webview's own resource URLs, which
+ * include the extension's install folder (anthropic.claude-code-<version>).
+ */
+export async function probeProfiles(cdp, probes) {
+  const SCRIPT = `(() => {
+    const probes = ${JSON.stringify(probes)};
+    const matches = {};
+    probes.forEach((probe) => {
+      matches[probe.name] = probe.detect.filter((sel) => {
+        try { return !!document.querySelector(sel); } catch (e) { return false; }
+      }).length;
+    });
+
+    let version = null;
+    const urls = Array.from(document.querySelectorAll('script[src], link[href], img[src]'))
+      .map(el => el.getAttribute('src') || el.getAttribute('href') || '');
+    urls.push(location.href);
+    for (const url of urls) {
+      let decoded = url;
+      try { decoded = decodeURIComponent(url); } catch (e) {}
+      const m = decoded.match(/anthropic\\.claude-code-(\\d+\\.\\d+\\.\\d+)/i);
+      if (m) { version = m[1]; break; }
+    }
+    return { version, matches };
+  })()`;
+
+  const result = await evaluateInContexts(cdp, SCRIPT, {
+    validator: (value) => value && (value.version || Object.values(value.matches || {}).some(n => n > 0))
+  });
+  if (!result) return { version: null, matches: {} };
+  if (result.contextId !== null && result.contextId !== undefined) {
+    cdp.rootContextId = result.contextId;
+  }
+  return result.value;
+}
+
+/**
+ * Every stylesheet rule in the webview, plus the --vscode-* theme variables
+ * VS Code sets on <html>, scoped under the wrapper. Resolves to null if the
+ * styles could not be read, so callers can keep what they had.
+ */
 export async function captureCSS(cdp) {
   const SCRIPT = `(() => {
     const isWorkbench = !!document.querySelector('.monaco-workbench, #workbench')
       || (document.body && document.body.className && document.body.className.includes('monaco-workbench'));
     if (isWorkbench) return { css: '' };
 
-    let css = '';
-    for (const sheet of document.styleSheets) {
+    const chunks = [];
+    const rootStyle = document.documentElement.style;
+    const vars = [];
+    for (let i = 0; i < rootStyle.length; i++) {
+      const prop = rootStyle[i];
+      if (prop.startsWith('--')) vars.push(prop + ':' + rootStyle.getPropertyValue(prop));
+    }
+    if (vars.length) chunks.push(':root{' + vars.join(';') + '}');
+
+    const collect = (sheet) => {
       try {
         for (const rule of sheet.cssRules) {
-          let text = rule.cssText;
-          text = text.replace(/(^|[\\s,}])body(?=[\\s,{])/gi, '$1#${CASCADE_WRAPPER_ID}');
-          text = text.replace(/(^|[\\s,}])html(?=[\\s,{])/gi, '$1#${CASCADE_WRAPPER_ID}');
-          text = text.replace(/(^|[\\s,}]):root(?=[\\s,{])/gi, '$1#${CASCADE_WRAPPER_ID}');
-          css += text + '\\n';
+          if (rule.styleSheet) collect(rule.styleSheet);
+          else chunks.push(rule.cssText);
         }
       } catch (e) { }
-    }
-    return { css };
+    };
+    for (const sheet of document.styleSheets) collect(sheet);
+    return { css: chunks.join('\\n') };
   })()`;
 
   const result = await evaluateInContexts(cdp, SCRIPT, {
     validator: (value) => value && typeof value.css === 'string'
   });
-  if (!result) return '';
+  if (!result) return null;
   if (result.contextId !== null && result.contextId !== undefined) {
     cdp.rootContextId = result.contextId;
   }
-  return result.value?.css || '';
+  const css = scopeCss(result.value.css, `#${CASCADE_WRAPPER_ID}`);
+  return css === null ? null : inlineWebviewResources(cdp, css);
 }
 
+/**
+ * Snapshot of a Claude webview. options.keepInputs keeps the composer in the
+ * HTML; options.profile is the cascade's selector profile (the base profile
+ * when omitted).
+ */
 export async function captureHTML(cdp, options = {}) {
   const keepInputs = !!options.keepInputs;
   const SCRIPT = `(() => {
     const keepInputs = ${keepInputs ? 'true' : 'false'};
+    ${pageSelectors(options.profile)}
     const isWorkbench = !!document.querySelector('.monaco-workbench, #workbench')
       || (document.body && document.body.className && document.body.className.includes('monaco-workbench'));
     if (isWorkbench) return { error: 'workbench' };
@@ -305,67 +452,29 @@ export async function captureHTML(cdp, options = {}) {
     if (!root) return { error: 'root not found' };
 
     // --- Detect user message turns in original DOM and mark them ---
-    const findTurnsContainer = (startEl) => {
-      let cur = startEl;
-      for (let d = 0; d < 15; d++) {
-        const kids = Array.from(cur.children).filter(c => c.tagName === 'DIV');
-        if (kids.length === 0) break;
-        let best = kids[0], bestLen = (best.innerText || '').length;
-        let totalLen = bestLen;
-        for (let j = 1; j < kids.length; j++) {
-          const len = (kids[j].innerText || '').length;
-          totalLen += len;
-          if (len > bestLen) { bestLen = len; best = kids[j]; }
-        }
-        if (kids.length <= 2 || (bestLen > totalLen * 0.7)) {
-          cur = best;
-        } else {
-          break;
-        }
-      }
-      return cur;
-    };
+    ${pageTurnDetection()}
 
     root.querySelectorAll('[data-user-turn]').forEach(el => el.removeAttribute('data-user-turn'));
 
-    const origTurns = findTurnsContainer(root);
-    const origChildren = Array.from(origTurns.children).filter(c => c.tagName === 'DIV');
-    const markedElements = [];
-
-    // --- User turn detection: Find elements with "Message actions" button ---
-    // In Claude IDE, user messages have a "Message actions" button.
-    // We find these buttons and mark the direct child of origTurns container as user turns.
-    const markUser = (el) => {
-      if (!markedElements.includes(el)) {
-        el.setAttribute('data-user-turn', 'true');
-        markedElements.push(el);
-      }
-    };
-
-    // Build a Set of direct children for quick lookup
-    const turnsChildrenSet = new Set(origChildren);
-
-    // Find all "Message actions" buttons
-    const messageActionButtons = root.querySelectorAll('button[aria-label="Message actions"], button[title="Message actions"]');
-
-    messageActionButtons.forEach(btn => {
-      // Walk up to find a direct child of origTurns container
-      let current = btn;
-      for (let i = 0; i < 20 && current && current !== root; i++) {
-        if (turnsChildrenSet.has(current)) {
-          // Found a direct child of the turns container
-          markUser(current);
-          break;
-        }
-        current = current.parentElement;
-      }
-    });
+    const turnsContainer = findTurnsContainer(root);
+    const detection = detectPageTurns(root, turnsContainer);
+    const markedElements = detection.users;
+    markedElements.forEach(el => el.setAttribute('data-user-turn', 'true'));
 
-    console.log('[captureHTML] User turn detection: message-actions-button, marked=' + markedElements.length + ', turnsChildren=' + origChildren.length);
+    console.log('[captureHTML] User turn detection: ' + (detection.strategy || 'none')
+      + ', confidence=' + detection.confidence + ', marked=' + markedElements.length
+      + ', turnsChildren=' + detection.turns.length);
 
     // --- Clone the DOM ---
     const wrapper = document.createElement('div');
     wrapper.id = '${CASCADE_WRAPPER_ID}';
+    // The wrapper stands in for <body>, so theme selectors like body.vscode-dark still match.
+    if (document.body) {
+      if (document.body.className) wrapper.className = document.body.className;
+      Array.from(document.body.attributes).forEach((attr) => {
+        if (attr.name.startsWith('data-vscode-')) wrapper.setAttribute(attr.name, attr.value);
+      });
+    }
     const container = document.body || document.documentElement;
     if (container && container.children && container.children.length) {
       Array.from(container.children).forEach((child) => {
@@ -373,6 +482,9 @@ export async function captureHTML(cdp, options = {}) {
           wrapper.appendChild(child.cloneNode(true));
         } catch (e) { }
       });
+      // Marked on the clone only: the wrapper mirrors <body>, so the path is the same.
+      const clonedTurns = elementAtPath(wrapper, elementPath(container, turnsContainer));
+      if (clonedTurns) clonedTurns.setAttribute('data-turns-container', 'true');
     } else {
       wrapper.appendChild(root.cloneNode(true));
     }
@@ -422,7 +534,7 @@ export async function captureHTML(cdp, options = {}) {
       let target = diffEl;
       let p = diffEl.parentElement;
       while (p && p !== wrapper) {
-        if (p.classList && p.classList.contains('W')) { target = p; break; }
+        if (matchesAny(p, 'diffWrapper')) { target = p; break; }
         p = p.parentElement;
       }
       if (!monacoTargets.has(target)) {
@@ -571,7 +683,7 @@ export async function captureHTML(cdp, options = {}) {
         let target = el;
         let p = el.parentElement;
         while (p && p !== wrapper) {
-          if (p.classList && p.classList.contains('W')) { target = p; break; }
+          if (matchesAny(p, 'diffWrapper')) { target = p; break; }
           p = p.parentElement;
         }
         target.replaceWith(pre);
@@ -580,6 +692,9 @@ export async function captureHTML(cdp, options = {}) {
       }
     });
 
+    // Whatever diff wrappers are left are stripped server-side by stripRemainingMonaco().
+    queryAll('diffWrapper', wrapper).forEach(el => el.setAttribute('data-diff-wrapper', 'true'));
+
     const bodyStyles = window.getComputedStyle(document.body || document.documentElement);
     const rootStyles = window.getComputedStyle(root);
     const docStyles = window.getComputedStyle(document.documentElement);
@@ -602,7 +717,9 @@ export async function captureHTML(cdp, options = {}) {
       '--vscode-focusBorder',
       '--vscode-widget-border',
       '--vscode-editorWidget-background',
-      '--vscode-editorWidget-border'
+      '--vscode-editorWidget-border',
+      '--vscode-foreground',
+      '--vscode-descriptionForeground'
     ];
 
     const vscodeTheme = {};
@@ -611,6 +728,11 @@ export async function captureHTML(cdp, options = {}) {
       if (value && value.trim()) vscodeTheme[key] = value.trim();
     });
 
+    // vscode-light, vscode-dark, vscode-high-contrast or vscode-high-contrast-light.
+    const body = document.body;
+    const themeKind = (body && body.getAttribute('data-vscode-theme-kind'))
+      || ((body && body.className || '').match(/\\bvscode-(?:light|dark|high-contrast(?:-light)?)\\b/) || [null])[0];
+
     return {
       html: wrapper.outerHTML,
       bodyBg: bodyStyles.backgroundColor,
@@ -621,7 +743,16 @@ export async function captureHTML(cdp, options = {}) {
       lineHeight: rootStyles.lineHeight,
       codeFontFamily: codeStyles ? codeStyles.fontFamily : null,
       codeFontSize: codeStyles ? codeStyles.fontSize : null,
-      vscodeTheme
+      themeKind,
+      vscodeTheme,
+      turnDetection: {
+        strategy: detection.strategy,
+        confidence: detection.confidence,
+        mode: ${JSON.stringify(TURN_DETECTION_MODE)},
+        turns: detection.turns.length,
+        userTurns: markedElements.length,
+        strategies: detection.strategies
+      }
     };
   })()`;
 
@@ -634,19 +765,23 @@ export async function captureHTML(cdp, options = {}) {
   }
   const data = result.value;
   if (data && data.html) {
-    data.html = stripRemainingMonaco(data.html);
+    data.html = sanitizeSnapshotHtml(await inlineWebviewResources(cdp, stripRemainingMonaco(data.html)));
   }
   return data;
 }
 
+// Set by captureHTML on elements matching the profile's diffWrapper selectors.
+const DIFF_WRAPPER_MARKER = /<div\b[^>]*\sdata-diff-wrapper="true"/g;
+
 function stripRemainingMonaco(html) {
-  const marker = '<div class="W"';
   const monacoMarker = 'monaco-diff-editor';
   let result = '';
   let i = 0;
 
   while (i < html.length) {
-    const wPos = html.indexOf(marker, i);
+    DIFF_WRAPPER_MARKER.lastIndex = i;
+    const match = DIFF_WRAPPER_MARKER.exec(html);
+    const wPos = match ? match.index : -1;
     if (wPos === -1) {
       result += html.slice(i);
       break;
@@ -698,6 +833,151 @@ function stripRemainingMonaco(html) {
   return result;
 }
 
+// --- Webview Resources ---
+
+// URLs only the webview itself can load: extension and workspace files, blobs.
+const RESOURCE_URL_PATTERN = /(?:vscode-webview-resource:|vscode-resource:|blob:|https:\/\/[\w.+-]*\.vscode-resource\.vscode-cdn\.net\/)(?:(?!&quot;)[^"'\s()<>])+/g;
+// A resource that failed to load is not retried on every capture.
+const RESOURCE_RETRY_MS = 60000;
+
+// cdp -> Map(url -> { hash } | { failedAt })
+const resolvedResources = new WeakMap();
+
+async function fetchResource(cdp, url) {
+  const SCRIPT = `(async () => {
+    const res = await fetch(${safeJSString(url)});
+    if (!res.ok) return { error: 'HTTP ' + res.status };
+    const blob = await res.blob();
+    if (blob.size > ${ASSET_MAX_BYTES}) return { error: 'too large' };
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    return { type: blob.type, base64: String(dataUrl).split(',')[1] || '' };
+  })().catch(e => ({ error: String((e && e.message) || e) }))`;
+
+  const result = await evaluateInContexts(cdp, SCRIPT, {
+    awaitPromise: true,
+    validator: (value) => value && !value.error
+  });
+  if (result) return { type: result.value.type, data: Buffer.from(result.value.base64, 'base64') };
+
+  // The webview's CSP can block fetch(); fall back to the copy the page already loaded.
+  try {
+    const { frameTree } = await cdp.call('Page.getFrameTree');
+    const res = await cdp.call('Page.getResourceContent', { frameId: frameTree.frame.id, url });
+    const data = Buffer.from(res.content, res.base64Encoded ? 'base64' : 'utf8');
+    return data.length > ASSET_MAX_BYTES ? null : { type: '', data };
+  } catch {
+    return null;
+  }
+}
+
+async function resolveResource(cdp, url) {
+  let known = resolvedResources.get(cdp);
+  if (!known) {
+    known = new Map();
+    resolvedResources.set(cdp, known);
+  }
+  const entry = known.get(url);
+  if (entry?.hash && hasAsset(entry.hash)) return entry.hash;
+  if (entry?.failedAt && Date.now() - entry.failedAt < RESOURCE_RETRY_MS) return null;
+
+  const fetched = await fetchResource(cdp, url).catch(() => null);
+  const type = fetched ? assetType(fetched.type, url) : '';
+  if (!fetched || fetched.data.length === 0 || !isAllowedAssetType(type)) {
+    known.set(url, { failedAt: Date.now() });
+    return null;
+  }
+  const hash = storeAsset(fetched.data, type);
+  known.set(url, { hash });
+  return hash;
+}
+
+/**
+ * Point webview-only resource URLs in captured HTML or CSS at /asset/:hash.
+ * URLs that cannot be resolved are left as they are.
+ */
+export async function inlineWebviewResources(cdp, text) {
+  const urls = Array.from(new Set((text || '').match(RESOURCE_URL_PATTERN) || []));
+  if (urls.length === 0) return text;
+  const hashes = new Map();
+  await Promise.all(urls.map(async (url) => {
+    // Serialized HTML escapes & in attribute values.
+    const hash = await resolveResource(cdp, url.replace(/&amp;/g, '&'));
+    if (hash) hashes.set(url, hash);
+  }));
+  return text.replace(RESOURCE_URL_PATTERN, (url) => hashes.has(url) ? assetPath(hashes.get(url)) : url);
+}
+
+// --- Change Observer ---
+
+const CHANGE_BINDING = '__vsclaudeOnChange';
+
+/**
+ * Have the webview report DOM mutations through a CDP binding so captures
+ * can be triggered on change instead of on a timer. `onChange` receives
+ * 'content' for the conversation DOM and 'styles' for stylesheets or theme.
+ * Safe to call repeatedly: the binding and listener are registered once per
+ * connection, and the page-side observer is re-installed only if the context
+ * lost it (reload). Returns true when an observer is active.
+ */
+export async function installChangeObserver(cdp, onChange) {
+  if (!cdp.changeBinding) {
+    try {
+      await cdp.call('Runtime.addBinding', { name: CHANGE_BINDING });
+    } catch {
+      return false;
+    }
+    cdp.on('Runtime.bindingCalled', (params, sessionId) => {
+      if (!sessionId && params.name === CHANGE_BINDING) onChange(params.payload === 'styles' ? 'styles' : 'content');
+    });
+    cdp.changeBinding = true;
+  }
+
+  const SCRIPT = `(() => {
+    const isWorkbench = !!document.querySelector('.monaco-workbench, #workbench')
+      || (document.body && document.body.className && document.body.className.includes('monaco-workbench'));
+    if (isWorkbench) return { installed: false };
+    if (typeof window.${CHANGE_BINDING} !== 'function') return { installed: false };
+    if (window.__vsclaudeObserver) return { installed: true };
+
+    // captureHTML() marks user turns on the live DOM; those edits are ours.
+    const isOwnMutation = (r) => r.type === 'attributes' && r.attributeName === 'data-user-turn';
+    const pending = {};
+    // Coalesce a burst of mutations into one notification per kind.
+    const notify = (kind) => {
+      if (pending[kind]) return;
+      pending[kind] = true;
+      setTimeout(() => {
+        pending[kind] = false;
+        try { window.${CHANGE_BINDING}(kind); } catch (e) { }
+      }, 30);
+    };
+    const observer = new MutationObserver((records) => {
+      if (!records.every(isOwnMutation)) notify('content');
+    });
+    observer.observe(document.body || document.documentElement, {
+      subtree: true, childList: true, characterData: true, attributes: true
+    });
+    // Stylesheets live in <head>; theme switches rewrite the variables on <html>.
+    const styleObserver = new MutationObserver(() => notify('styles'));
+    if (document.head) {
+      styleObserver.observe(document.head, { subtree: true, childList: true, characterData: true, attributes: true });
+    }
+    styleObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['style', 'class'] });
+    window.__vsclaudeObserver = observer;
+    return { installed: true };
+  })()`;
+
+  const result = await evaluateInContexts(cdp, SCRIPT, {
+    validator: (value) => value && value.installed
+  });
+  return !!result;
+}
+
 // --- Inject / Click Functions ---
 
 export async function injectMessage(cdp, text) {
@@ -1125,11 +1405,14 @@ export async function clickViewAll(cdp) {
 }
 
 /**
- * Diagnostic: Check for "Message actions" buttons to debug user turn detection.
+ * Diagnostic for user turn detection: the "Message actions" buttons, and
+ * what every turn strategy made of the conversation.
  */
-export async function diagnoseTurnDetection(cdp) {
+export async function diagnoseTurnDetection(cdp, profile) {
   const SCRIPT = `(() => {
     const selectors = ${JSON.stringify(ROOT_SELECTORS)};
+    ${pageSelectors(profile)}
+    ${pageTurnDetection()}
 
     const findRoot = () => {
       for (const sel of selectors) {
@@ -1147,7 +1430,7 @@ export async function diagnoseTurnDetection(cdp) {
     const root = rootInfo.el;
 
     // Find all "Message actions" buttons
-    const messageActionButtons = root.querySelectorAll('button[aria-label="Message actions"], button[title="Message actions"]');
+    const messageActionButtons = queryAll('messageActions', root);
 
     const buttonInfos = Array.from(messageActionButtons).map((btn, idx) => {
       // Find parent message container
@@ -1176,11 +1459,32 @@ export async function diagnoseTurnDetection(cdp) {
       };
     });
 
+    const detection = detectPageTurns(root, findTurnsContainer(root));
+    const users = new Set(detection.users);
+
     return {
       rootSelector: rootInfo.selector,
       messageActionButtonCount: messageActionButtons.length,
       buttons: buttonInfos,
-      childCount: buttonInfos.length
+      childCount: buttonInfos.length,
+      turnDetection: {
+        strategy: detection.strategy,
+        confidence: detection.confidence,
+        mode: ${JSON.stringify(TURN_DETECTION_MODE)},
+        strategies: detection.strategies,
+        turns: detection.turns.map((turn, index) => {
+          const text = (turn.innerText || '').trim();
+          return {
+            index,
+            role: users.has(turn) ? 'user' : 'assistant',
+            // Every strategy that took it for a user turn.
+            votes: detection.found.filter(r => r.users.includes(turn)).map(r => r.name),
+            className: (turn.className || '').toString().trim().substring(0, 100),
+            textLength: text.length,
+            textPreview: text.substring(0, 80) + (text.length > 80 ? '...' : '')
+          };
+        })
+      }
     };
   })()`;
 
@@ -1197,3 +1501,86 @@ export async function diagnoseTurnDetection(cdp) {
   }
   return { error: 'Could not evaluate diagnostic script' };
 }
+
+/**
+ * The webview's DOM for bug reports: <body> with every text node masked
+ * (each non-blank character becomes "x", so lengths survive) and form
+ * values dropped. Attribute values are masked the same way, except class,
+ * id, role and data-user-turn, which is what the selectors and turn
+ * strategies mostly look at, and URLs, which keep their scheme and host.
+ * Tags and attribute names are kept. The root, the turns container and each
+ * turn's detected role are marked with data-debug-* attributes.
+ */
+export async function dumpDom(cdp, profile) {
+  const SCRIPT = `(() => {
+    const selectors = ${JSON.stringify(ROOT_SELECTORS)};
+    ${pageSelectors(profile)}
+    ${pageTurnDetection()}
+
+    const body = document.body || document.documentElement;
+    if (!body) return { error: 'no document' };
+    let root = null;
+    for (const sel of selectors) {
+      try {
+        root = document.querySelector(sel);
+        if (root) break;
+      } catch (e) {}
+    }
+    root = root || body;
+
+    const turnsContainer = findTurnsContainer(root);
+    const detection = detectPageTurns(root, turnsContainer);
+    const clone = body.cloneNode(true);
+    const mark = (el, name, value) => {
+      const copy = elementAtPath(clone, elementPath(body, el));
+      if (copy) copy.setAttribute(name, value);
+    };
+    mark(root, 'data-debug-root', 'true');
+    mark(turnsContainer, 'data-debug-turns-container', 'true');
+    detection.turns.forEach((turn, i) => {
+      mark(turn, 'data-debug-turn', i + ':' + (detection.users.includes(turn) ? 'user' : 'assistant'));
+    });
+
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      node.nodeValue = node.nodeValue.replace(/\\S/g, 'x');
+    }
+    clone.querySelectorAll('input, textarea, select').forEach((el) => {
+      el.removeAttribute('value');
+      if (el.tagName === 'TEXTAREA') el.textContent = '';
+    });
+    // Labels, titles, alt text and data-* can quote the conversation as well as text nodes do.
+    const KEEP = /^(class|id|role|data-user-turn|data-debug-.*)$/;
+    const URLS = /^(href|src|action|formaction|poster|xlink:href)$/;
+    const origin = (value) => {
+      try {
+        const url = new URL(value, location.href);
+        return url.host ? url.protocol + '//' + url.host : url.protocol;
+      } catch (e) {
+        return '';
+      }
+    };
+    [clone].concat(Array.from(clone.querySelectorAll('*'))).forEach((el) => {
+      Array.from(el.attributes).forEach((attr) => {
+        if (KEEP.test(attr.name)) return;
+        el.setAttribute(attr.name, URLS.test(attr.name) ? origin(attr.value) : attr.value.replace(/\\S/g, 'x'));
+      });
+    });
+
+    return {
+      html: clone.outerHTML,
+      url: location.origin + location.pathname,
+      viewport: { width: window.innerWidth, height: window.innerHeight }
+    };
+  })()`;
+
+  const result = await evaluateInContexts(cdp, SCRIPT, {
+    awaitPromise: false,
+    validator: (value) => value && !value.error && value.html
+  });
+  if (!result) return { error: 'Could not evaluate DOM dump script' };
+  if (result.contextId !== null && result.contextId !== undefined) {
+    cdp.rootContextId = result.contextId;
+  }
+  return { ...result.value, html: sanitizeSnapshotHtml(result.value.html) };
+}
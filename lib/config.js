@@ -1,123 +1,505 @@
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import fs from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, basename, resolve, isAbsolute } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 export const PROJECT_DIR = join(__dirname, '..');
 
-const DEFAULT_PORT_RANGE = '9222-9230';
+/**
+ * Settings come from, in order of precedence: environment variables, the
+ * config file (vsclaude.config.json or vsclaude.config.mjs in the project
+ * directory, or the file named by VSCLAUDE_CONFIG), and the defaults below.
+ * Every value is checked against its type; errors stop the server at
+ * startup. The file is watched, and settings not marked `restart` are
+ * applied on the fly: the exports below are live bindings, so modules that
+ * read them at call time pick up new values without doing anything.
+ * Modules that cache a value register with onConfigChange().
+ */
+const CONFIG_FILES = ['vsclaude.config.json', 'vsclaude.config.mjs'];
+const RELOAD_DEBOUNCE_MS = 200;
 
-const parseCsvEnv = (name, fallback) => {
-  const raw = (process.env[name] || '').trim();
-  if (!raw) return [...fallback];
-  const items = raw.split(',').map(s => s.trim()).filter(Boolean);
-  return items.length ? items : [...fallback];
-};
+// --- Types ---
+// `env` parses an environment string, `check` accepts a parsed or file value.
+
+const csv = (raw) => raw.split(',').map(s => s.trim()).filter(Boolean);
+const isPort = (n) => Number.isInteger(n) && n > 0 && n < 65536;
 
-const parsePorts = () => {
-  const rawPorts = (process.env.CLAUDE_CDP_PORTS || '').trim();
-  if (rawPorts) {
-    return rawPorts
-      .split(',')
-      .map(s => s.trim())
-      .filter(s => /^\d+$/.test(s))
-      .map(s => Number(s));
+/** "9222-9230", "9222,9223" or "9222" -> [ports], or null if malformed. */
+function parsePortSpec(spec) {
+  const raw = String(spec).trim();
+  const range = raw.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) {
+    const start = Number(range[1]);
+    const end = Number(range[2]);
+    if (!isPort(start) || !isPort(end) || end < start) return null;
+    return Array.from({ length: end - start + 1 }, (_, i) => start + i);
   }
-  const rawRange = (process.env.CLAUDE_CDP_PORT_RANGE || DEFAULT_PORT_RANGE).trim();
-  if (rawRange.includes('-')) {
-    const [startRaw, endRaw] = rawRange.split('-', 2);
-    const start = Number(startRaw.trim());
-    const end = Number(endRaw.trim());
-    if (Number.isFinite(start) && Number.isFinite(end) && end >= start) {
-      return Array.from({ length: end - start + 1 }, (_, i) => start + i);
-    }
+  const ports = csv(raw).map(s => (/^\d+$/.test(s) ? Number(s) : NaN));
+  return ports.length && ports.every(isPort) ? ports : null;
+}
+
+function isRegexSource(source) {
+  if (typeof source !== 'string') return false;
+  try {
+    new RegExp(source, 'g');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const TYPES = {
+  positiveInt: {
+    expected: 'a positive integer',
+    env: Number,
+    check: v => Number.isInteger(v) && v > 0
+  },
+  count: {
+    expected: 'an integer of 0 or more',
+    env: Number,
+    check: v => Number.isInteger(v) && v >= 0
+  },
+  positiveNumber: {
+    expected: 'a positive number',
+    env: Number,
+    check: v => typeof v === 'number' && Number.isFinite(v) && v > 0
+  },
+  // Anything else from the environment is reported rather than read as true.
+  boolean: {
+    expected: 'true or false',
+    env: raw => ({ true: true, 1: true, false: false, 0: false })[raw.toLowerCase()],
+    check: v => typeof v === 'boolean'
+  },
+  string: {
+    expected: 'a string',
+    env: raw => raw,
+    check: v => typeof v === 'string'
+  },
+  // Relative paths in the config file are relative to the file.
+  path: {
+    expected: 'a file path',
+    env: raw => raw,
+    check: v => typeof v === 'string',
+    fromFile: (v, dir) => (v && !isAbsolute(v) ? resolve(dir, v) : v)
+  },
+  keywords: {
+    expected: 'a non-empty array of strings',
+    env: csv,
+    check: v => Array.isArray(v) && v.length > 0 && v.every(s => typeof s === 'string' && s.trim())
+  },
+  names: {
+    expected: 'an array of strings',
+    env: csv,
+    check: v => Array.isArray(v) && v.every(s => typeof s === 'string')
+  },
+  patterns: {
+    expected: 'a JSON array of regular expression strings',
+    env: raw => JSON.parse(raw),
+    check: v => Array.isArray(v) && v.every(isRegexSource)
+  },
+  ports: {
+    expected: 'an array of port numbers, or a "start-end" range',
+    env: raw => parsePortSpec(raw),
+    check: v => Array.isArray(v) && v.length > 0 && v.every(isPort),
+    fromFile: v => (typeof v === 'string' || typeof v === 'number' ? parsePortSpec(v) : v)
   }
-  if (/^\d+$/.test(rawRange)) return [Number(rawRange)];
-  return Array.from({ length: 9 }, (_, i) => 9222 + i);
 };
 
-export const PORTS = parsePorts();
-export const DISCOVERY_INTERVAL = Number(process.env.CLAUDE_DISCOVERY_INTERVAL || 5000);
-export const POLL_INTERVAL = Number(process.env.CLAUDE_POLL_INTERVAL || 2000);
-export const MIN_TEXT_LEN = Number(process.env.CLAUDE_MIN_TEXT_LEN || 20);
-export const DUP_SEND_WINDOW_MS = Number(process.env.CLAUDE_DUP_SEND_WINDOW_MS || 500);
-export const CDP_CALL_TIMEOUT = Number(process.env.CLAUDE_CDP_CALL_TIMEOUT || 10000);
-
-export const TARGET_TITLE_KEYWORDS = parseCsvEnv(
-  'CLAUDE_TARGET_TITLE_KEYWORDS',
-  ['claude', 'anthropic', 'visual studio code', 'vscode', 'code - oss', 'code-oss', 'workbench']
-);
-
-export const TARGET_URL_KEYWORDS = parseCsvEnv(
-  'CLAUDE_TARGET_URL_KEYWORDS',
-  ['extensionid=anthropic.claude-code', 'vscode-webview', 'claude', 'anthropic', 'workbench', 'code-oss']
-);
-
-export const TARGET_TYPES = parseCsvEnv('CLAUDE_TARGET_TYPES', ['page', 'iframe']);
-
-export const PREFERRED_TITLE_KEYWORDS = parseCsvEnv(
-  'CLAUDE_PREFERRED_TITLE_KEYWORDS',
-  ['claude', 'anthropic', 'agent']
-);
-
-export const PREFERRED_URL_KEYWORDS = parseCsvEnv(
-  'CLAUDE_PREFERRED_URL_KEYWORDS',
-  ['extensionid=anthropic.claude-code', 'vscode-webview', 'claude', 'anthropic']
-);
-
-export const ROOT_SELECTORS = parseCsvEnv(
-  'CLAUDE_ROOT_SELECTORS',
-  ['#root', '#app', '[data-testid*="claude"]', '[data-testid*="chat"]', 'main', 'section[role="main"]', 'body']
-);
-
-export const INPUT_SELECTORS = parseCsvEnv(
-  'CLAUDE_INPUT_SELECTORS',
-  [
-    '#prompt-textarea',
-    'textarea[data-testid*="prompt" i]',
-    'textarea[data-testid*="input" i]',
-    'textarea[placeholder*="message" i]',
-    'textarea[placeholder*="prompt" i]',
-    '[data-testid*="composer" i]',
-    '[data-testid*="prompt" i]',
-    '[data-testid*="input" i]',
-    '[data-testid*="chat-input" i]',
-    '[aria-label*="prompt" i]',
-    '[aria-label*="message" i]',
-    '[class*="composer" i]',
-    '[class*="prompt" i]',
-    '[class*="input" i]',
-    '[class*="chat-input" i]',
-    'textarea',
-    'input[data-testid*="prompt" i]',
-    'input[data-testid*="input" i]',
-    'input[type="text"]',
-    'input[role="textbox"]',
-    '[contenteditable="true"][role="textbox"]',
-    '[contenteditable="true"]',
-    '[contenteditable=""]'
-  ]
-);
-
-export const SEND_SELECTORS = parseCsvEnv(
-  'CLAUDE_SEND_SELECTORS',
-  [
-    'button[data-testid="send-button"]',
-    'button[data-testid*="send" i]',
-    'button[aria-label*="Send"]',
-    'button[aria-label*="send"]',
-    'button[aria-label*="Submit" i]',
-    'button[aria-label*="Send message" i]',
-    'button[aria-label*="Send Message" i]',
-    'button[title*="send" i]',
-    'button[title*="submit" i]',
-    'button[type="submit"]',
-    'button[class*="send"]',
-    'button[class*="submit"]'
-  ]
-);
+// --- Settings ---
+// Keys are the config file names; `restart` settings are read once at startup.
+
+const SETTINGS = {
+  // CLAUDE_CDP_PORTS wins over CLAUDE_CDP_PORT_RANGE when both are set.
+  ports: { type: 'ports', env: ['CLAUDE_CDP_PORTS', 'CLAUDE_CDP_PORT_RANGE'], default: parsePortSpec('9222-9230') },
+  discoveryInterval: { type: 'positiveInt', env: 'CLAUDE_DISCOVERY_INTERVAL', default: 5000 },
+  pollInterval: { type: 'positiveInt', env: 'CLAUDE_POLL_INTERVAL', default: 2000 },
+  changeObserver: { type: 'boolean', env: 'CLAUDE_CHANGE_OBSERVER', default: true, restart: true },
+  captureDebounceMs: { type: 'count', env: 'CLAUDE_CAPTURE_DEBOUNCE_MS', default: 150 },
+  safetyPollInterval: { type: 'positiveInt', env: 'CLAUDE_SAFETY_POLL_INTERVAL', default: 15000 },
+  minTextLen: { type: 'count', env: 'CLAUDE_MIN_TEXT_LEN', default: 20 },
+  dupSendWindowMs: { type: 'count', env: 'CLAUDE_DUP_SEND_WINDOW_MS', default: 500 },
+  cdpCallTimeout: { type: 'positiveInt', env: 'CLAUDE_CDP_CALL_TIMEOUT', default: 10000 },
+  heartbeatInterval: { type: 'positiveInt', env: 'CLAUDE_HEARTBEAT_INTERVAL', default: 5000 },
+  heartbeatTimeout: { type: 'positiveInt', env: 'CLAUDE_HEARTBEAT_TIMEOUT', default: 3000 },
+  heartbeatMaxFailures: { type: 'positiveInt', env: 'CLAUDE_HEARTBEAT_MAX_FAILURES', default: 3 },
+  reconnectBaseMs: { type: 'positiveInt', env: 'CLAUDE_RECONNECT_BASE_MS', default: 1000 },
+  reconnectMaxMs: { type: 'positiveInt', env: 'CLAUDE_RECONNECT_MAX_MS', default: 30000 },
+  reconnectLostAfter: { type: 'positiveInt', env: 'CLAUDE_RECONNECT_LOST_AFTER', default: 5 },
+  sessionTtlMs: { type: 'positiveInt', env: 'VSCLAUDE_SESSION_TTL_MS', default: 7 * 24 * 60 * 60 * 1000 },
+  loginMaxAttempts: { type: 'positiveInt', env: 'VSCLAUDE_LOGIN_MAX_ATTEMPTS', default: 10 },
+  loginWindowMs: { type: 'positiveInt', env: 'VSCLAUDE_LOGIN_WINDOW_MS', default: 5 * 60 * 1000 },
+  pairingCodeTtlMs: { type: 'positiveInt', env: 'VSCLAUDE_PAIRING_CODE_TTL_MS', default: 10 * 60 * 1000 },
+  publicUrl: { type: 'string', env: 'VSCLAUDE_PUBLIC_URL', default: '' },
+  auditFile: { type: 'path', env: 'VSCLAUDE_AUDIT_FILE', default: join(PROJECT_DIR, 'audit.jsonl'), restart: true },
+  historyMaxEntries: { type: 'positiveInt', env: 'VSCLAUDE_HISTORY_MAX_ENTRIES', default: 500 },
+  historyDir: { type: 'path', env: 'VSCLAUDE_HISTORY_DIR', default: '', restart: true },
+  archiveDir: { type: 'path', env: 'VSCLAUDE_ARCHIVE_DIR', default: join(PROJECT_DIR, 'archive'), restart: true },
+  archiveInterval: { type: 'positiveInt', env: 'VSCLAUDE_ARCHIVE_INTERVAL', default: 30000 },
+  assetMaxBytes: { type: 'positiveInt', env: 'VSCLAUDE_ASSET_MAX_BYTES', default: 5 * 1024 * 1024 },
+  assetCacheMaxBytes: { type: 'positiveInt', env: 'VSCLAUDE_ASSET_CACHE_MAX_BYTES', default: 64 * 1024 * 1024 },
+  metricsToken: { type: 'string', env: 'VSCLAUDE_METRICS_TOKEN', default: '' },
+  targetTitleKeywords: {
+    type: 'keywords',
+    env: 'CLAUDE_TARGET_TITLE_KEYWORDS',
+    default: ['claude', 'anthropic', 'visual studio code', 'vscode', 'code - oss', 'code-oss', 'workbench']
+  },
+  targetUrlKeywords: {
+    type: 'keywords',
+    env: 'CLAUDE_TARGET_URL_KEYWORDS',
+    default: ['extensionid=anthropic.claude-code', 'vscode-webview', 'claude', 'anthropic', 'workbench', 'code-oss']
+  },
+  targetTypes: { type: 'keywords', env: 'CLAUDE_TARGET_TYPES', default: ['page', 'iframe'] },
+  preferredTitleKeywords: {
+    type: 'keywords',
+    env: 'CLAUDE_PREFERRED_TITLE_KEYWORDS',
+    default: ['claude', 'anthropic', 'agent']
+  },
+  preferredUrlKeywords: {
+    type: 'keywords',
+    env: 'CLAUDE_PREFERRED_URL_KEYWORDS',
+    default: ['extensionid=anthropic.claude-code', 'vscode-webview', 'claude', 'anthropic']
+  },
+  rootSelectors: {
+    type: 'keywords',
+    env: 'CLAUDE_ROOT_SELECTORS',
+    default: ['#root', '#app', '[data-testid*="claude"]', '[data-testid*="chat"]', 'main', 'section[role="main"]', 'body']
+  },
+  inputSelectors: {
+    type: 'keywords',
+    env: 'CLAUDE_INPUT_SELECTORS',
+    default: [
+      '#prompt-textarea',
+      'textarea[data-testid*="prompt" i]',
+      'textarea[data-testid*="input" i]',
+      'textarea[placeholder*="message" i]',
+      'textarea[placeholder*="prompt" i]',
+      '[data-testid*="composer" i]',
+      '[data-testid*="prompt" i]',
+      '[data-testid*="input" i]',
+      '[data-testid*="chat-input" i]',
+      '[aria-label*="prompt" i]',
+      '[aria-label*="message" i]',
+      '[class*="composer" i]',
+      '[class*="prompt" i]',
+      '[class*="input" i]',
+      '[class*="chat-input" i]',
+      'textarea',
+      'input[data-testid*="prompt" i]',
+      'input[data-testid*="input" i]',
+      'input[type="text"]',
+      'input[role="textbox"]',
+      '[contenteditable="true"][role="textbox"]',
+      '[contenteditable="true"]',
+      '[contenteditable=""]'
+    ]
+  },
+  sendSelectors: {
+    type: 'keywords',
+    env: 'CLAUDE_SEND_SELECTORS',
+    default: [
+      'button[data-testid="send-button"]',
+      'button[data-testid*="send" i]',
+      'button[aria-label*="Send"]',
+      'button[aria-label*="send"]',
+      'button[aria-label*="Submit" i]',
+      'button[aria-label*="Send message" i]',
+      'button[aria-label*="Send Message" i]',
+      'button[title*="send" i]',
+      'button[title*="submit" i]',
+      'button[type="submit"]',
+      'button[class*="send"]',
+      'button[class*="submit"]'
+    ]
+  },
+  // Empty auto-detects a profile per webview.
+  selectorProfile: { type: 'string', env: 'CLAUDE_SELECTOR_PROFILE', default: '' },
+  // Extra profile files, read after (and overriding) the ones in profiles/.
+  profilesDir: { type: 'path', env: 'CLAUDE_PROFILES_DIR', default: '', restart: true },
+  // User turn detection strategies, in order; see lib/turns.js.
+  turnStrategies: {
+    type: 'names',
+    env: 'CLAUDE_TURN_STRATEGIES',
+    default: ['action-buttons', 'class-names', 'avatars', 'alignment', 'text-structure']
+  },
+  turnDetectionMode: { type: 'string', env: 'CLAUDE_TURN_DETECTION_MODE', default: 'fallback', values: ['fallback', 'vote'] },
+  redact: { type: 'boolean', env: 'VSCLAUDE_REDACT', default: true },
+  redactDetectors: {
+    type: 'names',
+    env: 'VSCLAUDE_REDACT_DETECTORS',
+    default: ['private-key', 'aws-access-key', 'aws-secret-key', 'github-token', 'jwt', 'bearer-token', 'env-assignment', 'high-entropy']
+  },
+  // Extra regex sources, e.g. VSCLAUDE_REDACT_PATTERNS='["sk-[A-Za-z0-9]{20,}"]'
+  redactPatterns: { type: 'patterns', env: 'VSCLAUDE_REDACT_PATTERNS', default: [] },
+  redactEntropyThreshold: { type: 'positiveNumber', env: 'VSCLAUDE_REDACT_ENTROPY_THRESHOLD', default: 4.3 },
+  // Roles allowed to reveal a masked value on demand.
+  redactRevealRoles: { type: 'names', env: 'VSCLAUDE_REDACT_REVEAL_ROLES', default: ['operator'] }
+};
+
+export let PORTS;
+export let DISCOVERY_INTERVAL;
+export let POLL_INTERVAL;
+export let CHANGE_OBSERVER_ENABLED;
+export let CAPTURE_DEBOUNCE_MS;
+export let SAFETY_POLL_INTERVAL;
+export let MIN_TEXT_LEN;
+export let DUP_SEND_WINDOW_MS;
+export let CDP_CALL_TIMEOUT;
+export let HEARTBEAT_INTERVAL;
+export let HEARTBEAT_TIMEOUT;
+// Missed heartbeats before an open socket is treated as dead.
+export let HEARTBEAT_MAX_FAILURES;
+export let RECONNECT_BASE_MS;
+export let RECONNECT_MAX_MS;
+// Failed reconnects before a cascade is reported lost (retries continue at RECONNECT_MAX_MS).
+export let RECONNECT_LOST_AFTER;
+export let SESSION_TTL_MS;
+export let LOGIN_MAX_ATTEMPTS;
+export let LOGIN_WINDOW_MS;
+export let PAIRING_CODE_TTL_MS;
+export let PUBLIC_URL;
+export let AUDIT_FILE;
+export let HISTORY_MAX_ENTRIES;
+// Empty keeps snapshot history in memory only.
+export let HISTORY_DIR;
+export let ARCHIVE_DIR;
+export let ASSET_MAX_BYTES;
+export let ASSET_CACHE_MAX_BYTES;
+export let ARCHIVE_INTERVAL;
+// Bearer token a metrics scraper may use instead of a session; empty disables it.
+export let METRICS_TOKEN;
+export let TARGET_TITLE_KEYWORDS;
+export let TARGET_URL_KEYWORDS;
+export let TARGET_TYPES;
+export let PREFERRED_TITLE_KEYWORDS;
+export let PREFERRED_URL_KEYWORDS;
+export let ROOT_SELECTORS;
+export let INPUT_SELECTORS;
+export let SEND_SELECTORS;
+export let SELECTOR_PROFILE;
+export let PROFILES_DIR;
+export let TURN_STRATEGIES;
+export let TURN_DETECTION_MODE;
+export let REDACT_ENABLED;
+export let REDACT_DETECTORS;
+export let REDACT_PATTERNS;
+export let REDACT_ENTROPY_THRESHOLD;
+export let REDACT_REVEAL_ROLES;
 
 export const CASCADE_WRAPPER_ID = 'claude-root';
 
 export const MAX_HTTP_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+function apply(v) {
+  PORTS = v.ports;
+  DISCOVERY_INTERVAL = v.discoveryInterval;
+  POLL_INTERVAL = v.pollInterval;
+  CHANGE_OBSERVER_ENABLED = v.changeObserver;
+  CAPTURE_DEBOUNCE_MS = v.captureDebounceMs;
+  SAFETY_POLL_INTERVAL = v.safetyPollInterval;
+  MIN_TEXT_LEN = v.minTextLen;
+  DUP_SEND_WINDOW_MS = v.dupSendWindowMs;
+  CDP_CALL_TIMEOUT = v.cdpCallTimeout;
+  HEARTBEAT_INTERVAL = v.heartbeatInterval;
+  HEARTBEAT_TIMEOUT = v.heartbeatTimeout;
+  HEARTBEAT_MAX_FAILURES = v.heartbeatMaxFailures;
+  RECONNECT_BASE_MS = v.reconnectBaseMs;
+  RECONNECT_MAX_MS = v.reconnectMaxMs;
+  RECONNECT_LOST_AFTER = v.reconnectLostAfter;
+  SESSION_TTL_MS = v.sessionTtlMs;
+  LOGIN_MAX_ATTEMPTS = v.loginMaxAttempts;
+  LOGIN_WINDOW_MS = v.loginWindowMs;
+  PAIRING_CODE_TTL_MS = v.pairingCodeTtlMs;
+  PUBLIC_URL = v.publicUrl.trim();
+  AUDIT_FILE = v.auditFile;
+  HISTORY_MAX_ENTRIES = v.historyMaxEntries;
+  HISTORY_DIR = v.historyDir.trim();
+  ARCHIVE_DIR = v.archiveDir;
+  ASSET_MAX_BYTES = v.assetMaxBytes;
+  ASSET_CACHE_MAX_BYTES = v.assetCacheMaxBytes;
+  ARCHIVE_INTERVAL = v.archiveInterval;
+  METRICS_TOKEN = v.metricsToken.trim();
+  TARGET_TITLE_KEYWORDS = v.targetTitleKeywords;
+  TARGET_URL_KEYWORDS = v.targetUrlKeywords;
+  TARGET_TYPES = v.targetTypes;
+  PREFERRED_TITLE_KEYWORDS = v.preferredTitleKeywords;
+  PREFERRED_URL_KEYWORDS = v.preferredUrlKeywords;
+  ROOT_SELECTORS = v.rootSelectors;
+  INPUT_SELECTORS = v.inputSelectors;
+  SEND_SELECTORS = v.sendSelectors;
+  SELECTOR_PROFILE = v.selectorProfile.trim();
+  PROFILES_DIR = v.profilesDir.trim();
+  TURN_STRATEGIES = v.turnStrategies;
+  TURN_DETECTION_MODE = v.turnDetectionMode;
+  REDACT_ENABLED = v.redact;
+  REDACT_DETECTORS = v.redactDetectors;
+  REDACT_PATTERNS = v.redactPatterns;
+  REDACT_ENTROPY_THRESHOLD = v.redactEntropyThreshold;
+  REDACT_REVEAL_ROLES = v.redactRevealRoles;
+}
+
+// --- Loading ---
+
+/** The config file in use, or null: VSCLAUDE_CONFIG, else the first of CONFIG_FILES that exists. */
+function findConfigFile() {
+  const explicit = (process.env.VSCLAUDE_CONFIG || '').trim();
+  if (explicit) return resolve(explicit);
+  const found = CONFIG_FILES.map(name => join(PROJECT_DIR, name)).filter(f => fs.existsSync(f));
+  if (found.length > 1) console.warn(`[Config] Both ${CONFIG_FILES.join(' and ')} exist; using ${basename(found[0])}`);
+  return found[0] || null;
+}
+
+async function readConfigFile(file) {
+  if (file.endsWith('.mjs') || file.endsWith('.js')) {
+    // A new query string per load, or import() returns the cached module.
+    const mod = await import(`${pathToFileURL(file).href}?v=${Date.now()}`);
+    return mod.default;
+  }
+  return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : String(text);
+}
+
+/**
+ * Resolve every setting from env, file and defaults. Returns { values,
+ * errors, file } where errors are complete sentences naming the setting.
+ */
+async function loadSettings() {
+  const file = findConfigFile();
+  const label = file ? basename(file) : null;
+  const errors = [];
+  let fileValues = {};
+
+  if (file) {
+    try {
+      const raw = await readConfigFile(file);
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${label} must contain an object of settings`);
+      } else {
+        fileValues = raw;
+      }
+    } catch (e) {
+      if (e.code === 'ENOENT') errors.push(`${file} does not exist`);
+      else errors.push(`${label} could not be read: ${e.message}`);
+    }
+  }
+
+  for (const key of Object.keys(fileValues)) {
+    if (key === '$schema' || SETTINGS[key]) continue;
+    const hint = Object.keys(SETTINGS).find(k => k.toLowerCase() === key.toLowerCase());
+    errors.push(`${label}: unknown setting "${key}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+  }
+
+  const values = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const type = TYPES[setting.type];
+    const envName = [].concat(setting.env).find(name => (process.env[name] || '').trim());
+    values[key] = setting.default;
+    let source, raw, value;
+    if (envName) {
+      source = envName;
+      raw = process.env[envName].trim();
+      try {
+        value = type.env(raw);
+      } catch {
+        value = undefined;
+      }
+      if (key in fileValues) console.log(`[Config] ${envName} overrides ${key} from ${label}`);
+    } else if (key in fileValues) {
+      source = `${label}: ${key}`;
+      raw = fileValues[key];
+      value = type.fromFile ? type.fromFile(raw, dirname(file)) : raw;
+    } else {
+      continue;
+    }
+    if (type.check(value) && (!setting.values || setting.values.includes(value))) values[key] = value;
+    else errors.push(`${source} must be ${setting.values ? `one of ${setting.values.join(', ')}` : type.expected}, got ${describeValue(raw)}`);
+  }
+
+  return { values, errors, file };
+}
+
+// --- Hot reload ---
+
+let current = null;
+let configFile = null;
+const listeners = [];
+
+/** fn(changedKeys: Set of setting names) runs after a reload changed something. */
+export function onConfigChange(fn) {
+  listeners.push(fn);
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function reload() {
+  const { values, errors, file } = await loadSettings();
+  if (errors.length) {
+    for (const error of errors) console.error(`[Config] ${error}`);
+    console.error('[Config] Keeping the previous configuration');
+    return;
+  }
+  if (file !== configFile) {
+    console.log(file ? `[Config] Using ${file}` : '[Config] No config file; using defaults and environment');
+    configFile = file;
+  }
+
+  const changed = new Set();
+  for (const key of Object.keys(SETTINGS)) {
+    if (sameValue(current[key], values[key])) continue;
+    if (SETTINGS[key].restart) {
+      console.warn(`[Config] ${key} changed; restart the server to apply it`);
+      values[key] = current[key];
+      continue;
+    }
+    changed.add(key);
+  }
+  if (changed.size === 0) return;
+
+  current = values;
+  apply(values);
+  console.log(`[Config] Applied ${Array.from(changed).join(', ')}`);
+  for (const fn of listeners) {
+    try {
+      fn(changed);
+    } catch (e) {
+      console.error(`[Config] Change listener failed: ${e.message}`);
+    }
+  }
+}
+
+/** Reload whenever a config file is created, edited or removed. */
+export function watchConfig() {
+  const explicit = (process.env.VSCLAUDE_CONFIG || '').trim();
+  const dir = explicit ? dirname(resolve(explicit)) : PROJECT_DIR;
+  const names = explicit ? [basename(explicit)] : CONFIG_FILES;
+  let timer = null;
+  try {
+    // Editors often save by replacing the file, so watch the directory.
+    const watcher = fs.watch(dir, (event, filename) => {
+      if (filename && !names.includes(String(filename))) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        reload().catch(e => console.error(`[Config] Reload failed: ${e.message}`));
+      }, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref();
+  } catch (e) {
+    console.error(`[Config] Cannot watch ${dir} for changes: ${e.message}`);
+  }
+}
+
+const initial = await loadSettings();
+if (initial.errors.length) {
+  for (const error of initial.errors) console.error(`[Config] ${error}`);
+  console.error('[Config] Fix the settings above and start the server again');
+  process.exit(1);
+}
+current = initial.values;
+configFile = initial.file;
+apply(current);
+if (configFile) console.log(`[Config] Using ${configFile}`);
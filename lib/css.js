@@ -0,0 +1,89 @@
+import postcss from 'postcss';
+
+// --- Scoping ---
+
+// A leading html/body/:root compound, e.g. `body.vscode-dark` or `:root`.
+const ROOT_COMPOUND = /^(?:html|body|:root)((?:[.#[:](?:\([^)]*\)|[^\s>+~,(])*)*)\s*(?:>\s*)?/i;
+
+/**
+ * Re-root one selector at `scope`: document-level compounds become the scope
+ * element itself (keeping their classes and attributes), everything else
+ * becomes a descendant of it.
+ */
+function scopeSelector(selector, scope) {
+  let rest = selector.trim();
+  let rootSuffix = null;
+  let m;
+  while ((m = rest.match(ROOT_COMPOUND))) {
+    rootSuffix = (rootSuffix || '') + m[1];
+    rest = rest.slice(m[0].length);
+  }
+  if (rootSuffix === null) return `${scope} ${rest}`;
+  return rest ? `${scope}${rootSuffix} ${rest}` : `${scope}${rootSuffix}`;
+}
+
+function insideKeyframes(node) {
+  for (let p = node.parent; p; p = p.parent) {
+    if (p.type === 'atrule' && /keyframes$/i.test(p.name)) return true;
+  }
+  return false;
+}
+
+// --- Dedup & minify ---
+
+function minifyNode(node) {
+  node.raws.before = '';
+  node.raws.after = '';
+  if (node.type === 'decl') {
+    node.raws.between = ':';
+    delete node.raws.value;
+    if (node.important) node.raws.important = '!important';
+  } else if (node.type === 'rule') {
+    node.raws.between = '';
+    node.raws.semicolon = false;
+    delete node.raws.selector;
+  } else if (node.type === 'atrule') {
+    node.raws.between = '';
+    node.raws.afterName = node.params ? ' ' : '';
+    node.raws.semicolon = false;
+    delete node.raws.params;
+  }
+}
+
+/** Drop exact repeats, keeping the last one since that is the one that wins. */
+function dedupe(container) {
+  const seen = new Set();
+  const nodes = container.nodes ? container.nodes.slice().reverse() : [];
+  for (const node of nodes) {
+    if (node.nodes) dedupe(node);
+    const key = node.toString();
+    if (seen.has(key)) node.remove();
+    else seen.add(key);
+  }
+}
+
+/**
+ * Make captured webview CSS safe to inject into the app shell: every selector
+ * is scoped under `scope`, comments are stripped, duplicate declarations and
+ * rules are dropped and whitespace is removed. Returns null if the CSS cannot
+ * be parsed.
+ */
+export function scopeCss(css, scope) {
+  let root;
+  try {
+    root = postcss.parse(css || '');
+  } catch (e) {
+    console.error(`[CSS] Could not parse captured CSS: ${e.message}`);
+    return null;
+  }
+
+  root.walkComments(comment => comment.remove());
+  root.walkRules(rule => {
+    if (insideKeyframes(rule)) return;
+    rule.selector = rule.selectors.map(s => scopeSelector(s, scope)).join(',');
+  });
+  root.walk(minifyNode);
+  root.raws.after = '';
+  dedupe(root);
+  return root.toString();
+}
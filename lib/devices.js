@@ -0,0 +1,191 @@
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { join } from 'path';
+import { PROJECT_DIR, PAIRING_CODE_TTL_MS, PUBLIC_URL, SESSION_TTL_MS } from './config.js';
+
+const DEVICES_FILE = join(PROJECT_DIR, '.devices.json');
+const SAVE_DEBOUNCE_MS = 2000;
+
+// --- Device store ---
+
+function loadDevices() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8'));
+    // Devices paired before roles existed were all full-access.
+    if (Array.isArray(saved)) return new Map(saved.map(d => [d.id, { role: 'operator', ...d }]));
+  } catch {}
+  return new Map();
+}
+
+export const devices = loadDevices();
+
+let saveTimer = null;
+
+function saveDevices() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    fs.writeFileSync(DEVICES_FILE, JSON.stringify(Array.from(devices.values()), null, 2), { mode: 0o600 });
+  } catch (e) {
+    console.error(`[Devices] Could not save devices: ${e.message}`);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveDevices, SAVE_DEBOUNCE_MS);
+}
+
+function defaultDeviceName(userAgent) {
+  const ua = userAgent || '';
+  if (/iPhone/.test(ua)) return 'iPhone';
+  if (/iPad/.test(ua)) return 'iPad';
+  if (/Android/.test(ua)) return 'Android';
+  if (/Macintosh/.test(ua)) return 'Mac';
+  if (/Windows/.test(ua)) return 'Windows';
+  if (/Linux/.test(ua)) return 'Linux';
+  return 'Device';
+}
+
+/** When a device's credential stops working; 0 for paired devices, which keep theirs. */
+function deviceExpiry(device) {
+  if (device.method !== 'passcode') return 0;
+  // Records written before expiresAt existed: their token was issued at creation.
+  return device.expiresAt || device.createdAt + SESSION_TTL_MS;
+}
+
+/** Drop passcode logins whose session has expired; nothing can use them any more. */
+export function pruneExpiredDevices(now = Date.now()) {
+  let removed = 0;
+  for (const [id, device] of devices) {
+    const expiry = deviceExpiry(device);
+    if (expiry && expiry < now) {
+      devices.delete(id);
+      removed++;
+    }
+  }
+  if (removed) saveDevices();
+  return removed;
+}
+
+pruneExpiredDevices();
+
+/**
+ * Record a login. `ttlMs` is how long its credential lasts (0: until
+ * revoked). Passing the id of the device the browser is already signed in
+ * as (`reuseId`) renews that record instead of adding another, as long as
+ * it was created the same way.
+ */
+export function registerDevice({ userAgent, ip, method, role, ttlMs = 0, reuseId = null }) {
+  const now = Date.now();
+  pruneExpiredDevices(now);
+  const existing = reuseId && devices.get(reuseId);
+  if (existing && existing.method === method) {
+    existing.role = role === 'operator' ? 'operator' : 'viewer';
+    existing.userAgent = (userAgent || '').slice(0, 200);
+    existing.ip = ip || existing.ip;
+    existing.lastSeen = now;
+    existing.expiresAt = ttlMs ? now + ttlMs : 0;
+    saveDevices();
+    return existing;
+  }
+  const device = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: defaultDeviceName(userAgent),
+    method,
+    role: role === 'operator' ? 'operator' : 'viewer',
+    userAgent: (userAgent || '').slice(0, 200),
+    ip: ip || '',
+    createdAt: now,
+    lastSeen: now,
+    expiresAt: ttlMs ? now + ttlMs : 0
+  };
+  devices.set(device.id, device);
+  saveDevices();
+  return device;
+}
+
+export function getDevice(id) {
+  return (id && devices.get(id)) || null;
+}
+
+/** Record activity; persisted lazily so every request doesn't hit the disk. */
+export function touchDevice(id, ip) {
+  const device = devices.get(id);
+  if (!device) return;
+  device.lastSeen = Date.now();
+  if (ip) device.ip = ip;
+  scheduleSave();
+}
+
+export function updateDevice(id, { name, role }) {
+  const device = devices.get(id);
+  if (!device) return null;
+  if (name) device.name = name.slice(0, 60);
+  if (role) device.role = role;
+  saveDevices();
+  return device;
+}
+
+export const THEME_MODES = ['vscode', 'light', 'dark', 'high-contrast'];
+
+/** Per-device display preferences; unset means follow VS Code. */
+export function getDevicePreferences(id) {
+  const device = devices.get(id);
+  return { theme: device?.theme || 'vscode' };
+}
+
+export function setDevicePreferences(id, { theme }) {
+  const device = devices.get(id);
+  if (!device) return null;
+  if (theme && THEME_MODES.includes(theme)) device.theme = theme;
+  saveDevices();
+  return getDevicePreferences(id);
+}
+
+export function revokeDevice(id) {
+  if (!devices.delete(id)) return false;
+  saveDevices();
+  return true;
+}
+
+// --- Pairing codes ---
+
+const pairingCodes = new Map();
+
+export function createPairingCode(role = 'operator') {
+  const now = Date.now();
+  for (const [code, entry] of pairingCodes) {
+    if (entry.expiresAt < now) pairingCodes.delete(code);
+  }
+  const code = crypto.randomBytes(12).toString('base64url');
+  const expiresAt = now + PAIRING_CODE_TTL_MS;
+  pairingCodes.set(code, { expiresAt, role });
+  return { code, expiresAt, role };
+}
+
+/**
+ * One-time use: a code is deleted whether or not it has expired.
+ * Returns the role the code grants, or null.
+ */
+export function consumePairingCode(code) {
+  if (!code || !pairingCodes.has(code)) return null;
+  const entry = pairingCodes.get(code);
+  pairingCodes.delete(code);
+  return entry.expiresAt >= Date.now() ? entry.role : null;
+}
+
+export function getLanAddress() {
+  for (const addrs of Object.values(os.networkInterfaces())) {
+    for (const addr of addrs || []) {
+      if (addr.family === 'IPv4' && !addr.internal) return addr.address;
+    }
+  }
+  return '127.0.0.1';
+}
+
+export function pairingUrl(code, port) {
+  const base = PUBLIC_URL || `http://${getLanAddress()}:${port}`;
+  return `${base.replace(/\/+$/, '')}/pair?code=${encodeURIComponent(code)}`;
+}
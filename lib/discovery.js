@@ -1,26 +1,54 @@
 import WebSocket from 'ws';
 import {
   PORTS, TARGET_TYPES, TARGET_TITLE_KEYWORDS, TARGET_URL_KEYWORDS,
-  PREFERRED_TITLE_KEYWORDS, PREFERRED_URL_KEYWORDS
+  PREFERRED_TITLE_KEYWORDS, PREFERRED_URL_KEYWORDS,
+  CHANGE_OBSERVER_ENABLED, CAPTURE_DEBOUNCE_MS, SAFETY_POLL_INTERVAL, ARCHIVE_INTERVAL,
+  HEARTBEAT_TIMEOUT, HEARTBEAT_MAX_FAILURES, RECONNECT_BASE_MS, RECONNECT_MAX_MS, RECONNECT_LOST_AFTER
 } from './config.js';
 import {
-  hashString, normalize, getJson,
-  connectCDP, extractMetadata, captureCSS, captureHTML
+  hashString, normalize,
+  connectCDP, extractMetadata, captureCSS, captureHTML, installChangeObserver, probeProfiles
 } from './cdp.js';
+import { defaultProfile, pickProfile, profileIsCurrent, profileProbes } from './profiles.js';
 import { sendPushNotification, pushSubscriptions } from './push.js';
+import { redactHtml } from './redact.js';
+import { diffHtml } from './patch.js';
+import { recordHistory, lastHistorySeq, renameHistory } from './history.js';
+import { archiveCascade, archiveWritesSettled } from './archive.js';
+import { listTargets, describeWindow, onTargetsChanged } from './targets.js';
+import { assignIds } from './identity.js';
+import { gauge, forgetLabel, captureDuration, captureHtmlBytes, discoveryDuration } from './metrics.js';
 
 // --- Shared state ---
 export let cascades = new Map();
 export const lastSendByCascade = new Map();
+// Retired cascade id -> the id the same conversation carries now.
+const cascadeAliases = new Map();
+const MAX_ALIASES = 1000;
+
+const HEALTH_STATES = ['connected', 'degraded', 'reconnecting', 'lost'];
+gauge('vsclaude_cascades', 'Cascades by connection state', () => HEALTH_STATES.map(state => ({
+  labels: { state },
+  value: Array.from(cascades.values()).filter(c => c.health.state === state).length
+})));
 
 let _broadcastCascadeList = () => {};
 let _broadcastSnapshotUpdate = () => {};
+let _shouldCapture = () => true;
+let _broadcastStylesUpdate = () => {};
+let _broadcastCascadeRenamed = () => {};
 
-export function initDiscovery(broadcastCascadeList, broadcastSnapshotUpdate) {
+export function initDiscovery(broadcastCascadeList, broadcastSnapshotUpdate, shouldCapture, broadcastStylesUpdate, broadcastCascadeRenamed) {
   _broadcastCascadeList = broadcastCascadeList;
   _broadcastSnapshotUpdate = broadcastSnapshotUpdate;
+  if (shouldCapture) _shouldCapture = shouldCapture;
+  if (broadcastStylesUpdate) _broadcastStylesUpdate = broadcastStylesUpdate;
+  if (broadcastCascadeRenamed) _broadcastCascadeRenamed = broadcastCascadeRenamed;
 }
 
+// Stylesheet churn comes in bursts (theme switch, lazy-loaded chunks); wait it out.
+const STYLES_DEBOUNCE_MS = 300;
+
 // --- Target matching ---
 
 const keywordScore = (text, keywords) => {
@@ -33,11 +61,14 @@ const keywordScore = (text, keywords) => {
   return score;
 };
 
+const targetScore = (target) => ({
+  title: keywordScore(normalize(target.title), TARGET_TITLE_KEYWORDS),
+  url: keywordScore(normalize(target.url), TARGET_URL_KEYWORDS)
+});
+
 const matchesTarget = (target) => {
-  const title = normalize(target.title);
-  const url = normalize(target.url);
-  const score = keywordScore(title, TARGET_TITLE_KEYWORDS) + keywordScore(url, TARGET_URL_KEYWORDS);
-  return score > 0;
+  const score = targetScore(target);
+  return score.title + score.url > 0;
 };
 
 /**
@@ -45,127 +76,568 @@ const matchesTarget = (target) => {
  * Prevents race conditions between discover/updateSnapshots.
  */
 let discoverPromise = null;
+let discoverAgain = false;
 let updatePromise = null;
 
 export async function discover() {
   if (discoverPromise) return discoverPromise;
-  discoverPromise = _discover().finally(() => { discoverPromise = null; });
+  const stopTimer = discoveryDuration.startTimer();
+  discoverPromise = _discover().finally(() => {
+    stopTimer();
+    discoverPromise = null;
+    if (discoverAgain) {
+      discoverAgain = false;
+      discover();
+    }
+  });
   return discoverPromise;
 }
 
+// Target events that land mid-pass must not be folded into a pass that has
+// already listed its targets; run once more after it instead.
+onTargetsChanged(() => {
+  if (discoverPromise) discoverAgain = true;
+  else discover();
+});
+
 export async function updateSnapshots() {
   if (updatePromise || discoverPromise) return;
   updatePromise = _updateSnapshots().finally(() => { updatePromise = null; });
   return updatePromise;
 }
 
-async function _discover() {
-  const allTargets = [];
-  const targetProjectNames = new Map();
-
-  await Promise.all(PORTS.map(async (port) => {
-    const list = await getJson(`http://127.0.0.1:${port}/json/list`);
-
-    const pageProjectNames = new Map();
-    for (const t of list) {
-      const title = t.title || '';
-      if (t.type === 'page' && (title.includes('Visual Studio Code') || title.includes('VSCodium') || title.includes('Code - OSS'))) {
-        const parts = title.split(' - ');
-        let projectName = '';
-        if (parts.length >= 3) {
-          projectName = parts[parts.length - 2].trim();
-        } else if (parts.length === 2) {
-          projectName = parts[0].trim();
-        }
-        if (projectName && t.id) {
-          pageProjectNames.set(t.id, projectName);
-        }
-      }
-    }
+function isCandidate(target) {
+  return TARGET_TYPES.includes(target.type || 'page') && matchesTarget(target);
+}
 
-    const filtered = list.filter(t => TARGET_TYPES.includes(t.type || 'page'))
-      .filter(t => matchesTarget(t));
-    filtered.forEach(t => {
-      if (t.parentId && pageProjectNames.has(t.parentId)) {
-        targetProjectNames.set(t.id, pageProjectNames.get(t.parentId));
-      } else {
-        const firstProject = pageProjectNames.values().next().value;
-        if (firstProject) targetProjectNames.set(t.id, firstProject);
-      }
-      allTargets.push({ ...t, port });
-    });
-  }));
+function isWorkbench(target) {
+  return TARGET_TYPES.includes(target.type || 'page') &&
+    (normalize(target.url).includes('workbench') || normalize(target.title).includes('workbench'));
+}
+
+// --- Selector profiles ---
 
+/** Probe a cascade's webview for its selector profile; logs when that changes. */
+async function detectProfile(c) {
+  const profile = pickProfile(await probeProfiles(c.cdp, profileProbes()));
+  const previous = c.profile;
+  c.profile = profile;
+  if (previous && previous.name === profile.name && previous.version === profile.version &&
+      previous.detected === profile.detected) return;
+  const how = profile.forced ? 'set in config' : (profile.detected ? `${profile.matched} probes matched` : 'no probe matched yet');
+  const version = profile.version ? `, extension ${profile.version}` : '';
+  console.log(`[Profiles] ${c.metadata.chatTitle}: ${profile.name} (${how}${version})`);
+}
+
+// --- Diagnostics ---
+
+/**
+ * What the last discovery pass saw: every port it asked, every target it
+ * found with its keyword score, and why each was accepted or rejected.
+ */
+let lastDiscovery = null;
+
+export function getDiscoveryReport() {
+  return lastDiscovery;
+}
+
+function describeTarget(target) {
+  const score = targetScore(target);
+  const record = {
+    port: target.port,
+    id: target.id,
+    type: target.type,
+    title: target.title || '',
+    url: target.url || '',
+    windowTitle: target.windowTitle || '',
+    score: { ...score, total: score.title + score.url },
+    status: 'rejected',
+    reason: null
+  };
+  if (target.pending) {
+    record.status = 'pending';
+    record.reason = 'waiting for its window to attach';
+  } else if (!TARGET_TYPES.includes(target.type || 'page')) {
+    record.reason = `type "${target.type}" is not in TARGET_TYPES`;
+  } else if (record.score.total === 0) {
+    record.reason = 'no TARGET_TITLE_KEYWORDS or TARGET_URL_KEYWORDS matched';
+  }
+  return record;
+}
+
+function noteError(c, message) {
+  c.lastError = { message, at: Date.now() };
+}
+
+async function _discover() {
+  const startedAt = Date.now();
+  const { targets, ports } = await listTargets();
+  const unreachablePorts = new Set(ports.filter(p => !p.reachable).map(p => p.port));
+  const records = new Map(targets.map(t => [t, describeTarget(t)]));
+  const listed = targets.filter(t => !t.pending);
+  let allTargets = listed.filter(isCandidate);
   if (allTargets.length === 0) {
-    await Promise.all(PORTS.map(async (port) => {
-      const list = await getJson(`http://127.0.0.1:${port}/json/list`);
-      const fallback = list.filter(t => TARGET_TYPES.includes(t.type || 'page'))
-        .filter(t => normalize(t.url).includes('workbench') || normalize(t.title).includes('workbench'));
-      fallback.forEach(t => allTargets.push({ ...t, port }));
-    }));
+    allTargets = listed.filter(isWorkbench);
+    for (const t of allTargets) records.get(t).reason = 'no keyword match; tried as a workbench fallback';
   }
 
-  const newCascades = new Map();
+  const byTarget = new Map(Array.from(cascades.values()).map(c => [c.targetKey, c]));
+  const found = [];
 
-  for (const target of allTargets) {
-    const id = hashString(target.webSocketDebuggerUrl);
+  // Targets are independent; a slow webview must not hold up the others.
+  await Promise.all(allTargets.map(async (target) => {
+    const targetKey = hashString(target.webSocketDebuggerUrl);
+    const { workspace, projectName } = await describeWindow(target);
+    const windowMeta = {
+      windowId: target.windowId,
+      windowTitle: target.windowTitle,
+      workspace,
+      projectName
+    };
 
-    if (cascades.has(id)) {
-      const existing = cascades.get(id);
+    const record = records.get(target);
+    const accept = (c, how) => {
+      record.status = 'accepted';
+      record.reason = how;
+      record.cascade = c;
+      c.firstSeen = target.firstSeen ?? null;
+      c.listIndex = targets.indexOf(target);
+      found.push(c);
+    };
+
+    const existing = byTarget.get(targetKey);
+    // Reconnecting is up to the backoff, not to discovery.
+    if (existing && isDisconnected(existing)) {
+      existing.metadata = { ...existing.metadata, ...windowMeta };
+      accept(existing, `known chat, ${existing.health.state}`);
+      return;
+    }
+    if (existing) {
       if (existing.cdp.ws.readyState === WebSocket.OPEN) {
-        const meta = await extractMetadata(existing.cdp);
+        const meta = await extractMetadata(existing.cdp, record);
         if (meta) {
-          existing.metadata = { ...existing.metadata, ...meta };
-          newCascades.set(id, existing);
-          continue;
+          existing.metadata = { ...existing.metadata, ...meta, ...windowMeta };
+          // Until a probe matches (the webview may still be loading), or after the profile setting changed.
+          if (!profileIsCurrent(existing.profile)) await detectProfile(existing);
+          // Re-arms the observer if the webview reloaded since the last pass.
+          await watchCascade(existing);
+          accept(existing, 'known chat');
+          return;
         }
       }
       // FIX #3: Explicitly close stale CDP connections
-      try { existing.cdp.cleanup(); } catch {}
+      retireCascade(existing);
     }
 
     try {
       console.log(`[Discovery] Connecting to ${target.title || target.url}`);
       const cdp = await connectCDP(target.webSocketDebuggerUrl);
-      const meta = await extractMetadata(cdp);
+      const meta = await extractMetadata(cdp, record);
 
       if (meta) {
         if (meta.contextId) cdp.rootContextId = meta.contextId;
+        const css = (await captureCSS(cdp)) || '';
         const cascade = {
-          id,
+          id: null,
+          targetKey,
+          targetUrl: target.webSocketDebuggerUrl,
+          port: target.port,
           cdp,
+          health: { state: 'connected', since: Date.now(), failures: 0, attempts: 0 },
           metadata: {
-            windowTitle: target.title,
             chatTitle: meta.chatTitle,
             isActive: meta.isActive,
-            projectName: targetProjectNames.get(target.id) || ''
+            ...windowMeta
           },
           snapshot: null,
-          css: await captureCSS(cdp),
-          snapshotHash: null
+          css,
+          cssHash: hashString(css),
+          lastStylesAt: Date.now(),
+          snapshotHash: null,
+          snapshotSeq: 0,
+          redactions: new Map(),
+          profile: defaultProfile(),
+          observing: false,
+          lastCaptureAt: 0,
+          capturedAt: 0
         };
-        newCascades.set(id, cascade);
+        await detectProfile(cascade);
+        watchConnection(cascade);
+        await watchCascade(cascade);
+        accept(cascade, 'new chat');
         console.log(`[Discovery] Added Claude target: ${meta.chatTitle}`);
       } else {
         cdp.cleanup();
       }
     } catch (e) {
-      // ignore connection errors
+      record.reason = `could not connect: ${e.message || e}`;
+    }
+  }));
+
+  // A port that went away (VS Code restarting) says nothing about its
+  // targets; keep their cascades until the port answers again. A port no
+  // longer in the config takes its cascades with it.
+  const kept = new Set(found);
+  for (const c of cascades.values()) {
+    if (!kept.has(c) && unreachablePorts.has(c.port)) {
+      found.push(c);
+      kept.add(c);
     }
   }
 
   const oldCascades = cascades;
-  cascades = newCascades;
+  const renamed = [];
+  cascades = assignIds(found, {
+    // Continue the sequence across reconnects so history stays ordered.
+    adopt: (c) => { c.snapshotSeq = lastHistorySeq(c.id); },
+    rename: (c, newId) => {
+      renamed.push([c.id, newId]);
+      renameCascade(c, newId);
+    }
+  });
+  // A retired id can be handed out again (a second chat panel); it then means itself.
+  for (const id of cascades.keys()) cascadeAliases.delete(id);
+  for (const [oldId, newId] of renamed) _broadcastCascadeRenamed(oldId, newId);
+  lastDiscovery = {
+    at: startedAt,
+    durationMs: Date.now() - startedAt,
+    ports,
+    // Ids are only final now that they are assigned.
+    targets: Array.from(records.values()).map(({ cascade, ...record }) => ({
+      ...record,
+      cascadeId: cascade ? cascade.id : null
+    }))
+  };
+
   // FIX #3: Clean up removed cascades and their associated state
   for (const [id, c] of oldCascades.entries()) {
+    if (kept.has(c)) continue;
+    retireCascade(c);
+    clearTimeout(c._archiveTimer);
+    saveToArchive(c);
     if (!cascades.has(id)) {
-      try { c.cdp.cleanup(); } catch {}
       lastSendByCascade.delete(id);
+      forgetLabel('cascade', id);
     }
   }
   _broadcastCascadeList();
 }
 
+// --- Identity ---
+
+function renameCascade(c, newId) {
+  const oldId = c.id;
+  console.log(`[Discovery] Cascade ${oldId} is now ${newId} (${c.metadata.chatTitle})`);
+  c.id = newId;
+  // The new id's own history is kept; the cascade continues after it from a keyframe.
+  if (!renameHistory(oldId, newId)) c.snapshotSeq = Math.max(c.snapshotSeq, lastHistorySeq(newId));
+  forgetLabel('cascade', oldId);
+  if (lastSendByCascade.has(oldId)) {
+    lastSendByCascade.set(newId, lastSendByCascade.get(oldId));
+    lastSendByCascade.delete(oldId);
+  }
+  // Point earlier aliases straight at the new id; an id in use again is no alias.
+  for (const [from, to] of cascadeAliases) {
+    if (to === oldId) cascadeAliases.set(from, newId);
+  }
+  cascadeAliases.delete(newId);
+  cascadeAliases.set(oldId, newId);
+  while (cascadeAliases.size > MAX_ALIASES) {
+    cascadeAliases.delete(cascadeAliases.keys().next().value);
+  }
+}
+
+/** The id a cascade carries now, following renames; the id itself if it was never renamed. */
+export function resolveCascadeId(id) {
+  return cascadeAliases.get(id) || id;
+}
+
+/** Look up a cascade by its current or any former id. */
+export function getCascade(id) {
+  return cascades.get(resolveCascadeId(id));
+}
+
+// --- Capture ---
+
+async function watchCascade(c) {
+  if (!CHANGE_OBSERVER_ENABLED) return;
+  c.observing = await installChangeObserver(c.cdp, (kind) => {
+    if (kind === 'styles') scheduleStylesCapture(c);
+    else scheduleCapture(c);
+  });
+}
+
+/**
+ * Mutations only schedule a capture; the first one in a quiet period starts
+ * the timer and later ones ride along, so a streaming reply is captured
+ * every CAPTURE_DEBOUNCE_MS rather than never.
+ */
+function scheduleCapture(c) {
+  if (c._captureTimer || !_shouldCapture()) return;
+  c._captureTimer = setTimeout(() => {
+    c._captureTimer = null;
+    if (cascades.get(c.id) !== c) return;
+    captureCascade(c).catch(() => {});
+  }, CAPTURE_DEBOUNCE_MS);
+}
+
+/**
+ * Capture a cascade and commit the result if it changed. Captures of one
+ * cascade never overlap: a request made mid-capture runs once more after it,
+ * so a mutation is never lost and an older capture never lands last.
+ * Resolves to true if the snapshot changed, false if not, null on failure.
+ */
+function captureCascade(c) {
+  if (c._capture) {
+    c._captureAgain = true;
+    return c._capture;
+  }
+  c._capture = (async () => {
+    let changed = false;
+    do {
+      c._captureAgain = false;
+      if (c.cdp.ws.readyState !== WebSocket.OPEN) return null;
+      const stopTimer = captureDuration.startTimer();
+      let snap = null;
+      try {
+        snap = await captureHTML(c.cdp, { profile: c.profile });
+        if (!snap || !snap.html) noteError(c, 'capture found no chat content');
+      } catch (e) {
+        noteError(c, `capture failed: ${e.message || e}`);
+      }
+      // Labelled afterwards: a rename may land while the capture runs.
+      stopTimer({ cascade: c.id });
+      c.lastCaptureAt = Date.now();
+      if (!snap || !snap.html) return null;
+      c.capturedAt = c.lastCaptureAt;
+      captureHtmlBytes.observe({ cascade: c.id }, Buffer.byteLength(snap.html));
+      // Detection results count too: a new strategy or confidence can leave the HTML as it was.
+      const hash = hashString(snap.html + themeKey(snap) + JSON.stringify(snap.turnDetection || null));
+      if (hash !== c.snapshotHash) {
+        c.snapshotHash = hash;
+        commitSnapshot(c, snap);
+        c._lastChangeTime = Date.now();
+        c._notifiedIdle = false;
+        changed = true;
+      }
+    } while (c._captureAgain);
+    return changed;
+  })().finally(() => { c._capture = null; });
+  return c._capture;
+}
+
+/** The VS Code theme values a snapshot carries besides its HTML. */
+function themeKey(snap) {
+  return JSON.stringify([
+    snap.bodyBg, snap.bodyColor, snap.fontFamily, snap.fontSize,
+    snap.codeFontFamily, snap.codeFontSize, snap.themeKind, snap.vscodeTheme
+  ]);
+}
+
+/**
+ * Store a changed capture and push it to clients. Each change bumps the
+ * cascade's sequence number; the patch carries the sequence it applies on
+ * top of so clients can detect a gap and fall back to a full fetch.
+ * Patches carry no theme values, so a theme change is sent as a full update.
+ */
+function commitSnapshot(c, snap) {
+  snap.html = redactHtml(snap.html, c.redactions);
+  const baseSeq = c.snapshotSeq;
+  const themeChanged = c.snapshot && themeKey(c.snapshot) !== themeKey(snap);
+  const ops = themeChanged ? null : diffHtml(c.snapshot?.html, snap.html);
+  c.snapshotSeq = baseSeq + 1;
+  snap.seq = c.snapshotSeq;
+  c.snapshot = snap;
+  recordHistory(c.id, snap.seq, snap.html, ops);
+  _broadcastSnapshotUpdate(c.id, ops ? { seq: c.snapshotSeq, baseSeq, ops } : null);
+  scheduleArchive(c);
+}
+
+// --- Styles ---
+
+function scheduleStylesCapture(c) {
+  if (c._stylesTimer || !_shouldCapture()) return;
+  c._stylesTimer = setTimeout(() => {
+    c._stylesTimer = null;
+    if (cascades.get(c.id) !== c) return;
+    refreshStyles(c).catch(() => {});
+  }, STYLES_DEBOUNCE_MS);
+}
+
+/** Recapture a cascade's CSS and announce it if it changed. Resolves to true on change. */
+function refreshStyles(c) {
+  if (c._stylesCapture) return c._stylesCapture;
+  c._stylesCapture = (async () => {
+    if (c.cdp.ws.readyState !== WebSocket.OPEN) return false;
+    const css = await captureCSS(c.cdp);
+    c.lastStylesAt = Date.now();
+    if (css === null) {
+      noteError(c, 'could not read the webview stylesheets');
+      return false;
+    }
+    const hash = hashString(css);
+    if (hash === c.cssHash) return false;
+    c.css = css;
+    c.cssHash = hash;
+    _broadcastStylesUpdate(c.id, hash);
+    return true;
+  })().finally(() => { c._stylesCapture = null; });
+  return c._stylesCapture;
+}
+
+// --- Health ---
+
+/**
+ * connected: heartbeats answer. degraded: the socket is open but heartbeats
+ * fail or time out. reconnecting: the socket is gone and the backoff is
+ * retrying. lost: retries keep failing (they go on, at RECONNECT_MAX_MS).
+ */
+function setHealth(c, state) {
+  if (c.health.state === state) return;
+  c.health.state = state;
+  c.health.since = Date.now();
+  console.log(`[Health] ${c.metadata.chatTitle || c.id}: ${state}`);
+  if (cascades.get(c.id) === c) _broadcastCascadeList();
+}
+
+function isDisconnected(c) {
+  return c.health.state === 'reconnecting' || c.health.state === 'lost';
+}
+
+function watchConnection(c) {
+  const cdp = c.cdp;
+  cdp.ws.on('close', () => {
+    if (c.cdp === cdp) connectionLost(c);
+  });
+}
+
+function connectionLost(c) {
+  if (c.retired || isDisconnected(c)) return;
+  c.observing = false;
+  c.health.attempts = 0;
+  setHealth(c, 'reconnecting');
+  scheduleReconnect(c);
+}
+
+/** First retry at once, then RECONNECT_BASE_MS doubling up to RECONNECT_MAX_MS, ±20%. */
+function scheduleReconnect(c) {
+  const n = c.health.attempts;
+  const delay = n === 0 ? 0 : Math.min(RECONNECT_BASE_MS * 2 ** (n - 1), RECONNECT_MAX_MS);
+  c._reconnectTimer = setTimeout(() => {
+    c._reconnectTimer = null;
+    reconnectCascade(c).catch(() => {});
+  }, delay * (0.8 + Math.random() * 0.4));
+}
+
+async function reconnectCascade(c) {
+  if (c.retired) return;
+  let cdp = null;
+  try {
+    cdp = await connectCDP(c.targetUrl);
+    const meta = await extractMetadata(cdp);
+    if (!meta) throw new Error('no Claude content');
+    if (c.retired) {
+      cdp.cleanup();
+      return;
+    }
+    c.cdp = cdp;
+    c.metadata = { ...c.metadata, chatTitle: meta.chatTitle, isActive: meta.isActive };
+    c.health.failures = 0;
+    c.health.attempts = 0;
+    // VS Code may have restarted with a newer extension.
+    await detectProfile(c);
+    watchConnection(c);
+    await watchCascade(c);
+    setHealth(c, 'connected');
+    // Catch up on whatever happened while the socket was down.
+    if (_shouldCapture()) {
+      refreshStyles(c).catch(() => {});
+      captureCascade(c).catch(() => {});
+    }
+  } catch (e) {
+    if (cdp) cdp.cleanup();
+    if (c.retired) return;
+    noteError(c, `reconnect failed: ${e.message || e}`);
+    c.health.attempts++;
+    if (c.health.attempts >= RECONNECT_LOST_AFTER) setHealth(c, 'lost');
+    scheduleReconnect(c);
+  }
+}
+
+/** Stop everything a cascade runs; it is being dropped or replaced. */
+function retireCascade(c) {
+  c.retired = true;
+  clearTimeout(c._reconnectTimer);
+  try { c.cdp.cleanup(); } catch {}
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/** Ping every connected cascade once. Run every HEARTBEAT_INTERVAL. */
+export async function checkHealth() {
+  await Promise.all(Array.from(cascades.values()).map(async (c) => {
+    if (c.retired || isDisconnected(c)) return;
+    const cdp = c.cdp;
+    if (cdp.ws.readyState !== WebSocket.OPEN) {
+      connectionLost(c);
+      return;
+    }
+    try {
+      await withTimeout(cdp.call('Runtime.evaluate', { expression: '1', returnByValue: true }), HEARTBEAT_TIMEOUT);
+      if (c.cdp !== cdp) return;
+      c.health.failures = 0;
+      setHealth(c, 'connected');
+    } catch (e) {
+      if (c.cdp !== cdp) return;
+      noteError(c, `heartbeat failed: ${e.message || e}`);
+      c.health.failures++;
+      if (c.health.failures < HEARTBEAT_MAX_FAILURES) {
+        setHealth(c, 'degraded');
+        return;
+      }
+      // Open but unresponsive: drop the socket and go through the backoff.
+      cdp.cleanup();
+      connectionLost(c);
+    }
+  }));
+}
+
+// --- Archive ---
+
+function saveToArchive(c) {
+  try {
+    archiveCascade(c);
+  } catch (e) {
+    console.error(`[Archive] Could not archive ${c.id}: ${e.message}`);
+  }
+}
+
+/** Archive at most once per ARCHIVE_INTERVAL; removal and shutdown flush whatever is pending. */
+function scheduleArchive(c) {
+  if (c._archiveTimer) return;
+  c._archiveTimer = setTimeout(() => {
+    c._archiveTimer = null;
+    if (cascades.get(c.id) === c) saveToArchive(c);
+  }, ARCHIVE_INTERVAL);
+}
+
+/** Archive every cascade with a write pending; resolves once the files are on disk. */
+export function flushArchives() {
+  for (const c of cascades.values()) {
+    if (!c._archiveTimer) continue;
+    clearTimeout(c._archiveTimer);
+    c._archiveTimer = null;
+    saveToArchive(c);
+  }
+  return archiveWritesSettled();
+}
+
 /**
  * FIX #4: Iterate over a snapshot of entries to avoid issues if
  * cascades Map is replaced by discover() mid-iteration.
@@ -176,17 +648,16 @@ async function _updateSnapshots() {
     // Verify cascade is still current (discover() may have replaced cascades)
     if (!cascades.has(id) || cascades.get(id) !== c) continue;
     if (c.cdp.ws.readyState !== WebSocket.OPEN) continue;
+    // Styles can also change through the CSSOM, which no observer sees.
+    if (Date.now() - c.lastStylesAt >= SAFETY_POLL_INTERVAL) {
+      try {
+        await refreshStyles(c);
+      } catch {}
+    }
+    // Observed cascades capture on change; polling is only a safety net for them.
+    if (c.observing && Date.now() - c.lastCaptureAt < SAFETY_POLL_INTERVAL) continue;
     try {
-      const snap = await captureHTML(c.cdp);
-      if (!snap || !snap.html) continue;
-      const hash = hashString(snap.html);
-      if (hash !== c.snapshotHash) {
-        c.snapshotHash = hash;
-        c.snapshot = snap;
-        _broadcastSnapshotUpdate(id);
-        c._lastChangeTime = Date.now();
-        c._notifiedIdle = false;
-      }
+      await captureCascade(c);
     } catch {}
   }
 
@@ -209,18 +680,10 @@ async function _updateSnapshots() {
 }
 
 export async function refreshSnapshotOnce(cascadeId) {
-  const c = cascades.get(cascadeId);
+  const c = getCascade(cascadeId);
   if (!c || c.cdp.ws.readyState !== WebSocket.OPEN) return false;
   try {
-    const snap = await captureHTML(c.cdp);
-    if (!snap || !snap.html) return false;
-    const hash = hashString(snap.html);
-    if (hash !== c.snapshotHash) {
-      c.snapshotHash = hash;
-      c.snapshot = snap;
-      _broadcastSnapshotUpdate(cascadeId);
-    }
-    return true;
+    return (await captureCascade(c)) !== null;
   } catch {
     return false;
   }
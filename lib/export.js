@@ -0,0 +1,131 @@
+import { CASCADE_WRAPPER_ID } from './config.js';
+import { getTranscript } from './transcript.js';
+import { inlineAssetDataUris } from './assets.js';
+
+export const EXPORT_FORMATS = ['md', 'html', 'json'];
+
+// --- Helpers ---
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function slugify(str) {
+  return String(str || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+/** e.g. `myproj-fix-the-parser-2026-10-19.md` */
+export function exportFilename(cascade, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  const parts = [cascade.metadata?.projectName, cascade.metadata?.chatTitle].map(slugify).filter(Boolean);
+  return `${[...parts, date].join('-') || 'conversation'}.${format}`;
+}
+
+const ROLE_HEADINGS = { user: 'User', assistant: 'Assistant', unknown: 'Conversation' };
+
+// --- Markdown ---
+
+function exportMarkdown(cascade, turns) {
+  const title = cascade.metadata?.chatTitle || 'Claude conversation';
+  const lines = [`# ${title}`, ''];
+  if (cascade.metadata?.projectName) lines.push(`- Project: ${cascade.metadata.projectName}`);
+  lines.push(`- Exported: ${new Date().toISOString()}`, '');
+  for (const turn of turns) {
+    lines.push('---', '', `## ${ROLE_HEADINGS[turn.role] || turn.role}`, '', turn.markdown, '');
+  }
+  return lines.join('\n');
+}
+
+// --- JSON ---
+
+function exportJson(cascade, turns) {
+  return JSON.stringify({
+    cascadeId: cascade.id,
+    seq: cascade.snapshotSeq,
+    title: cascade.metadata?.chatTitle || '',
+    project: cascade.metadata?.projectName || '',
+    exportedAt: new Date().toISOString(),
+    turns
+  }, null, 2);
+}
+
+// --- HTML ---
+
+// Stands in for the app shell: a readable page plus the user/assistant cues.
+const EXPORT_CSS = `
+body { margin: 0; padding: 24px; }
+#${CASCADE_WRAPPER_ID} { max-width: 880px; margin: 0 auto; }
+#${CASCADE_WRAPPER_ID} [data-msg-type="user"] {
+  border-left: 3px solid #e2a03f; padding: 8px 12px; margin: 16px 0;
+  background: rgba(226, 160, 63, 0.08); border-radius: 4px;
+}
+#${CASCADE_WRAPPER_ID} [data-msg-type="assistant"] { margin: 12px 0; }
+#${CASCADE_WRAPPER_ID} pre { white-space: pre-wrap; word-break: break-word; }
+#${CASCADE_WRAPPER_ID} button { display: none; }
+.vsc-export-header { max-width: 880px; margin: 0 auto 16px; font: 12px monospace; opacity: 0.7; }
+`;
+
+// Nothing in an export may load or run anything.
+const EXPORT_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:";
+
+/**
+ * The webview's CSS relies on --vscode-* variables set on its <html> element,
+ * which stylesheets don't capture; the snapshot carries their values.
+ */
+function themeCss(snapshot) {
+  const value = (v) => String(v).replace(/[;{}<>]/g, '');
+  const decls = Object.entries(snapshot.vscodeTheme || {})
+    .filter(([k]) => /^--[\w-]+$/.test(k))
+    .map(([k, v]) => `${k}: ${value(v)};`);
+  if (snapshot.fontFamily) decls.push(`font-family: ${value(snapshot.fontFamily)};`);
+  if (snapshot.fontSize) decls.push(`font-size: ${value(snapshot.fontSize)};`);
+  const body = [];
+  if (snapshot.bodyBg) body.push(`background: ${value(snapshot.bodyBg)};`);
+  if (snapshot.bodyColor) body.push(`color: ${value(snapshot.bodyColor)};`);
+  return `#${CASCADE_WRAPPER_ID} { ${decls.join(' ')} }\nbody { ${body.join(' ')} }`;
+}
+
+function exportHtml(cascade) {
+  const snapshot = cascade.snapshot;
+  const title = cascade.metadata?.chatTitle || 'Claude conversation';
+  const project = cascade.metadata?.projectName;
+  // </style> inside captured CSS would end the element early.
+  const css = inlineAssetDataUris(cascade.css).replace(/<\/style/gi, '<\\/style');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="${EXPORT_CSP}">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+${css}
+</style>
+<style>
+${themeCss(snapshot)}
+${EXPORT_CSS}
+</style>
+</head>
+<body>
+<div class="vsc-export-header">${escapeHtml([project, title].filter(Boolean).join(' / '))} · exported ${escapeHtml(new Date().toISOString())}</div>
+${inlineAssetDataUris(snapshot.html)}
+</body>
+</html>
+`;
+}
+
+/** Render a cascade's current snapshot as a self-contained file. */
+export function exportConversation(cascade, format) {
+  switch (format) {
+    case 'md': return exportMarkdown(cascade, getTranscript(cascade));
+    case 'json': return exportJson(cascade, getTranscript(cascade));
+    case 'html': return exportHtml(cascade);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
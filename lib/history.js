@@ -0,0 +1,177 @@
+import fs from 'fs';
+import { join } from 'path';
+import { HISTORY_MAX_ENTRIES, HISTORY_DIR } from './config.js';
+import { applyPatch } from './patch.js';
+
+// A full copy every this many entries bounds the work of rebuilding one.
+const KEYFRAME_INTERVAL = 25;
+
+/**
+ * cascadeId -> { entries, linesOnDisk, keyframeNext }. Entries are { seq, ts, html } for
+ * keyframes and { seq, ts, ops } for patches against the previous entry,
+ * oldest first; the first entry is always a keyframe.
+ */
+const histories = new Map();
+
+let writeChain = Promise.resolve();
+
+// --- Persistence ---
+
+function historyFile(cascadeId) {
+  return join(HISTORY_DIR, `${cascadeId}.jsonl`);
+}
+
+function readHistoryFile(cascadeId) {
+  if (!HISTORY_DIR) return [];
+  try {
+    return fs.readFileSync(historyFile(cascadeId), 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function persist(cascadeId, write) {
+  if (!HISTORY_DIR) return;
+  writeChain = writeChain
+    .then(async () => {
+      await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+      await write(historyFile(cascadeId));
+    })
+    .catch((e) => console.error(`[History] Could not write ${cascadeId}: ${e.message}`));
+}
+
+// --- Store ---
+
+function isKeyframe(entry) {
+  return typeof entry.html === 'string';
+}
+
+/** Drop the oldest entries, cutting only at a keyframe. */
+function trim(entries) {
+  if (entries.length <= HISTORY_MAX_ENTRIES) return false;
+  let cut = entries.length - HISTORY_MAX_ENTRIES;
+  while (cut < entries.length && !isKeyframe(entries[cut])) cut++;
+  if (cut >= entries.length) return false;
+  entries.splice(0, cut);
+  return true;
+}
+
+function getHistory(cascadeId) {
+  let h = histories.get(cascadeId);
+  if (!h) {
+    const entries = readHistoryFile(cascadeId);
+    while (entries.length && !isKeyframe(entries[0])) entries.shift();
+    const linesOnDisk = entries.length;
+    trim(entries);
+    h = { entries, linesOnDisk };
+    histories.set(cascadeId, h);
+  }
+  return h;
+}
+
+/**
+ * Append a snapshot. `ops` is the patch from the previous snapshot, or null
+ * when none was computed; that entry then becomes a keyframe.
+ */
+export function recordHistory(cascadeId, seq, html, ops) {
+  const h = getHistory(cascadeId);
+  const { entries } = h;
+  let sinceKeyframe = 0;
+  for (let i = entries.length - 1; i >= 0 && !isKeyframe(entries[i]); i--) sinceKeyframe++;
+  const entry = !ops || h.keyframeNext || entries.length === 0 || sinceKeyframe >= KEYFRAME_INTERVAL - 1
+    ? { seq, ts: Date.now(), html }
+    : { seq, ts: Date.now(), ops };
+  h.keyframeNext = false;
+  entries.push(entry);
+
+  if (trim(entries) && h.linesOnDisk > HISTORY_MAX_ENTRIES * 2) {
+    // Compact the file once it holds twice what is kept in memory.
+    const snapshot = entries.map(e => JSON.stringify(e) + '\n').join('');
+    h.linesOnDisk = entries.length;
+    persist(cascadeId, (file) => fs.promises.writeFile(file, snapshot, { mode: 0o600 }));
+  } else {
+    h.linesOnDisk++;
+    const line = JSON.stringify(entry) + '\n';
+    persist(cascadeId, (file) => fs.promises.appendFile(file, line, { mode: 0o600 }));
+  }
+}
+
+/**
+ * Move a cascade's history to its new id. History already recorded under
+ * that id is never replaced: both are then left where they are, and the next
+ * entry under the new id is a keyframe. Returns whether the history moved.
+ */
+export function renameHistory(oldId, newId) {
+  const existing = getHistory(newId);
+  if (existing.entries.length > 0) {
+    console.log(`[History] Keeping ${newId}'s own history; ${oldId}'s stays under its old id`);
+    // The cascade's next patch is against its own last snapshot, not this history's.
+    existing.keyframeNext = true;
+    return false;
+  }
+  const h = getHistory(oldId);
+  histories.delete(oldId);
+  histories.set(newId, h);
+  if (!HISTORY_DIR) return true;
+  writeChain = writeChain
+    .then(() => fs.promises.rename(historyFile(oldId), historyFile(newId)))
+    .catch((e) => {
+      if (e.code !== 'ENOENT') throw e;
+    })
+    .catch((e) => console.error(`[History] Could not rename ${oldId}: ${e.message}`));
+  return true;
+}
+
+/** Timeline of a cascade: { seq, ts } per recorded snapshot, oldest first. */
+export function listHistory(cascadeId) {
+  return getHistory(cascadeId).entries.map(({ seq, ts }) => ({ seq, ts }));
+}
+
+/** Sequence number of the newest recorded snapshot, 0 if there is none. */
+export function lastHistorySeq(cascadeId) {
+  const { entries } = getHistory(cascadeId);
+  return entries.length ? entries[entries.length - 1].seq : 0;
+}
+
+/** Rebuild entries[index] from the nearest keyframe at or before it. */
+function rebuild(cascadeId, entries, index) {
+  let start = index;
+  while (start > 0 && !isKeyframe(entries[start])) start--;
+  let html = entries[start].html;
+  try {
+    for (let i = start + 1; i <= index; i++) html = applyPatch(html, entries[i].ops);
+  } catch (e) {
+    console.error(`[History] Could not rebuild ${cascadeId}@${entries[index].seq}: ${e.message}`);
+    return null;
+  }
+  return { seq: entries[index].seq, ts: entries[index].ts, html };
+}
+
+/**
+ * The snapshot that was current at time `ts`: the newest entry recorded at
+ * or before it, rebuilt from the nearest keyframe. Null if `ts` predates the
+ * history or the entry can no longer be rebuilt.
+ */
+export function snapshotAt(cascadeId, ts) {
+  const { entries } = getHistory(cascadeId);
+  let index = -1;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].ts <= ts) { index = i; break; }
+  }
+  if (index === -1) return null;
+  return rebuild(cascadeId, entries, index);
+}
+
+/**
+ * The entry recorded with sequence number `seq`. Unlike a time, a sequence
+ * number names exactly one entry. Null if it is not in the history (any more).
+ */
+export function snapshotAtSeq(cascadeId, seq) {
+  const { entries } = getHistory(cascadeId);
+  const index = entries.findIndex(e => e.seq === seq);
+  return index === -1 ? null : rebuild(cascadeId, entries, index);
+}
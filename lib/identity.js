@@ -0,0 +1,92 @@
+import { hashString } from './cdp.js';
+
+/**
+ * Durable cascade ids. What makes a chat panel the same one across webview
+ * reloads and VS Code restarts is its window's workspace (or project name
+ * when the workspace is unknown) and its place among that workspace's
+ * panels. The chat title is left out: it changes when a new chat gets its
+ * real title and when the panel switches to another conversation, and
+ * neither is a reason to move the panel's history. CDP target ids change
+ * every time.
+ *
+ * Panels of one workspace get numbered ids. A panel keeps its number while
+ * it lives. A panel that (re)appears prefers a free number whose panel last
+ * showed the same chat title, which keeps a reloaded webview on its own id.
+ * Otherwise numbers go out in the order VS Code created the panels. Known
+ * limitation: after a restart, or when one panel closes and another opens,
+ * the title may not match. The newcomer then takes the lowest free number
+ * and continues that panel's history.
+ */
+
+// How far up the numbers a reappearing panel looks for its old title.
+const MAX_PANELS = 32;
+
+// id -> chat title last seen under it, for matching panels that come back.
+const lastTitles = new Map();
+const MAX_TITLES = 1000;
+
+export function identityKey(c) {
+  return c.metadata.workspace || c.metadata.projectName || '';
+}
+
+export function candidateId(key, n) {
+  return hashString(n === 0 ? key : `${key}\n${n}`);
+}
+
+// Creation order in the browser when known (live target events), else listing order.
+function panelOrder(a, b) {
+  const first = c => c.firstSeen ?? Number.MAX_SAFE_INTEGER;
+  const listed = c => c.listIndex ?? Number.MAX_SAFE_INTEGER;
+  return first(a) - first(b) || listed(a) - listed(b);
+}
+
+function freeId(key, title, taken) {
+  let fallback = null;
+  for (let n = 0; n < MAX_PANELS; n++) {
+    const id = candidateId(key, n);
+    if (taken.has(id)) continue;
+    if (title && lastTitles.get(id) === title) return id;
+    if (!fallback) fallback = id;
+  }
+  if (fallback) return fallback;
+  let n = MAX_PANELS;
+  while (taken.has(candidateId(key, n))) n++;
+  return candidateId(key, n);
+}
+
+/**
+ * Give every found cascade its durable id and return them keyed by it.
+ * Cascades whose identity is unchanged keep their id; the rest take a free
+ * one (see above). A new cascade gets its id set and `adopt(c)` called;
+ * one whose id changes (its window opened another workspace) is passed to
+ * `rename(c, newId)`, which sets the new id.
+ */
+export function assignIds(found, { adopt, rename }) {
+  const result = new Map();
+  const rest = [];
+  for (const c of found) {
+    const key = identityKey(c);
+    if (c.id && c.identityKey === key && !result.has(c.id)) result.set(c.id, c);
+    else rest.push(c);
+  }
+  // Existing cascades first so a newcomer never pushes them off their id.
+  rest.sort((a, b) => (a.id ? 0 : 1) - (b.id ? 0 : 1) || panelOrder(a, b));
+  for (const c of rest) {
+    const key = identityKey(c);
+    const id = freeId(key, c.metadata.chatTitle, result);
+    if (!c.id) {
+      c.id = id;
+      adopt(c);
+    } else if (c.id !== id) {
+      rename(c, id);
+    }
+    c.identityKey = key;
+    result.set(id, c);
+  }
+  for (const [id, c] of result) {
+    lastTitles.delete(id);
+    lastTitles.set(id, c.metadata.chatTitle);
+  }
+  while (lastTitles.size > MAX_TITLES) lastTitles.delete(lastTitles.keys().next().value);
+  return result;
+}
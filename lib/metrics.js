@@ -0,0 +1,149 @@
+/**
+ * Counters, gauges and histograms rendered in the Prometheus text format
+ * for GET /metrics. Series are keyed by their label values; anything labelled
+ * by cascade is dropped with forgetLabel() once the cascade goes away so the
+ * output does not grow with every chat ever seen.
+ */
+const metrics = [];
+
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+export const SIZE_BUCKETS = [1e4, 5e4, 1e5, 2.5e5, 5e5, 1e6, 2.5e6, 5e6, 1e7];
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+// --- Metric types ---
+
+export function counter(name, help) {
+  const series = new Map();
+  return register({
+    name, help, type: 'counter', series,
+    inc(labels = {}, n = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key);
+      if (entry) entry.value += n;
+      else series.set(key, { labels, value: n });
+    },
+    lines() {
+      return Array.from(series.values()).map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+  });
+}
+
+/** `collect()` returns a number, or [{ labels, value }] for labelled gauges. */
+export function gauge(name, help, collect) {
+  return register({
+    name, help, type: 'gauge', series: new Map(),
+    lines() {
+      const value = collect();
+      const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return samples.map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+  });
+}
+
+export function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  const observe = (labels, value) => {
+    const key = seriesKey(labels);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    for (let i = 0; i < buckets.length; i++) {
+      if (value <= buckets[i]) entry.counts[i]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  };
+  return register({
+    name, help, type: 'histogram', series,
+    observe,
+    /** Returns a function that records the seconds elapsed since this call. */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    lines() {
+      const out = [];
+      for (const s of series.values()) {
+        buckets.forEach((le, i) => {
+          out.push(`${name}_bucket${formatLabels({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`);
+        });
+        out.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+        out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return out;
+    }
+  });
+}
+
+// --- Exposition ---
+
+/** Drop every series whose `label` equals `value`, across all metrics. */
+export function forgetLabel(label, value) {
+  for (const metric of metrics) {
+    for (const [key, s] of metric.series) {
+      if (String(s.labels[label]) === String(value)) metric.series.delete(key);
+    }
+  }
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const metric of metrics) {
+    out.push(`# HELP ${metric.name} ${metric.help}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    out.push(...metric.lines());
+  }
+  return out.join('\n') + '\n';
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// --- Shared metrics ---
+// Defined here so instrumented modules do not depend on each other.
+
+export const captureDuration = histogram(
+  'vsclaude_capture_duration_seconds', 'Time to capture a cascade snapshot, by cascade');
+export const captureHtmlBytes = histogram(
+  'vsclaude_capture_html_bytes', 'Size of captured snapshot HTML, by cascade', SIZE_BUCKETS);
+export const cdpCallDuration = histogram(
+  'vsclaude_cdp_call_duration_seconds', 'CDP command round-trip time, by method and outcome');
+export const cdpCallTimeouts = counter(
+  'vsclaude_cdp_call_timeouts_total', 'CDP commands that hit CLAUDE_CDP_CALL_TIMEOUT, by method');
+export const contextFallbacks = counter(
+  'vsclaude_eval_context_fallbacks_total',
+  'evaluateInContexts calls not answered by the first context: another context, the default context, or none');
+export const discoveryDuration = histogram(
+  'vsclaude_discovery_duration_seconds', 'Duration of a target discovery pass');
+export const sendResults = counter(
+  'vsclaude_send_total', '/send requests by delivery method (button, enter, cdp, dedup) and result');
+export const pushDeliveries = counter(
+  'vsclaude_push_deliveries_total', 'Push notifications delivered to a subscription');
+export const pushFailures = counter(
+  'vsclaude_push_failures_total', 'Push notifications that failed, by HTTP status');
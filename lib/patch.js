@@ -0,0 +1,180 @@
+import { parseDocument } from 'htmlparser2';
+import render from 'dom-serializer';
+import { appendChild, prepend, removeElement } from 'domutils';
+
+// Beyond this ratio of patch size to full HTML, clients are told to refetch instead.
+const MAX_PATCH_RATIO = 0.5;
+
+// --- Tree helpers ---
+
+function rootElement(html) {
+  const doc = parseDocument(html);
+  return doc.children.find(n => n.type === 'tag') || null;
+}
+
+// Comments are dropped by the sanitizer; everything else maps 1:1 to DOM childNodes.
+function childNodes(node) {
+  return (node.children || []).filter(n => n.type === 'tag' || n.type === 'text');
+}
+
+/** DOM-style nodeName so the client can verify it resolved the same node. */
+function nodeName(node) {
+  return node.type === 'text' ? '#text' : node.name.toUpperCase();
+}
+
+function outerHtml(node) {
+  return render(node, { encodeEntities: 'utf8' });
+}
+
+// The parser lowercases attribute names, but SVG ones are case-sensitive once set from script.
+const SVG_ATTRIBUTES = new Map([
+  'attributeName', 'attributeType', 'baseFrequency', 'baseProfile', 'calcMode', 'clipPathUnits',
+  'diffuseConstant', 'edgeMode', 'filterUnits', 'glyphRef', 'gradientTransform', 'gradientUnits',
+  'kernelMatrix', 'kernelUnitLength', 'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust',
+  'limitingConeAngle', 'markerHeight', 'markerUnits', 'markerWidth', 'maskContentUnits', 'maskUnits',
+  'numOctaves', 'pathLength', 'patternContentUnits', 'patternTransform', 'patternUnits', 'pointsAtX',
+  'pointsAtY', 'pointsAtZ', 'preserveAlpha', 'preserveAspectRatio', 'primitiveUnits', 'refX', 'refY',
+  'repeatCount', 'repeatDur', 'requiredExtensions', 'requiredFeatures', 'specularConstant',
+  'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation', 'stitchTiles', 'surfaceScale',
+  'systemLanguage', 'tableValues', 'targetX', 'targetY', 'textLength', 'viewBox', 'viewTarget',
+  'xChannelSelector', 'yChannelSelector', 'zoomAndPan'
+].map(name => [name.toLowerCase(), name]));
+
+/** Inside an <svg> and not back in HTML through a <foreignObject>. */
+function inSvg(node) {
+  for (let cur = node; cur && cur.type === 'tag'; cur = cur.parent) {
+    if (cur.name === 'svg') return true;
+    if (cur.name === 'foreignobject') return false;
+  }
+  return false;
+}
+
+function attrName(name, svg) {
+  return (svg && SVG_ATTRIBUTES.get(name)) || name;
+}
+
+// --- Diff ---
+
+/**
+ * Mirror of the client's patchNode(): nodes are matched by position, a
+ * type or tag mismatch replaces the whole subtree, and surplus children are
+ * appended or truncated at the end. Because sibling indexes only ever change
+ * at the tail, every op's path is valid both before and after it is applied.
+ *
+ * Ops (path = child indexes from the #claude-root element):
+ *   { op: 'replace', path, name, html }
+ *   { op: 'text', path, text }
+ *   { op: 'attrs', path, name, set, remove }
+ *   { op: 'append', path, name, html }
+ *   { op: 'truncate', path, name, length }
+ */
+function diffNode(oldNode, newNode, path, ops) {
+  if (oldNode.type !== newNode.type || (oldNode.type === 'tag' && oldNode.name !== newNode.name)) {
+    ops.push({ op: 'replace', path, name: nodeName(oldNode), html: outerHtml(newNode) });
+    return;
+  }
+
+  if (oldNode.type === 'text') {
+    if (oldNode.data !== newNode.data) ops.push({ op: 'text', path, text: newNode.data });
+    return;
+  }
+
+  const oldAttrs = oldNode.attribs || {};
+  const newAttrs = newNode.attribs || {};
+  const svg = inSvg(newNode);
+  const set = {};
+  const remove = [];
+  for (const [k, v] of Object.entries(newAttrs)) {
+    if (oldAttrs[k] !== v) set[attrName(k, svg)] = v;
+  }
+  for (const k of Object.keys(oldAttrs)) {
+    if (!(k in newAttrs)) remove.push(attrName(k, svg));
+  }
+  if (Object.keys(set).length || remove.length) {
+    ops.push({ op: 'attrs', path, name: nodeName(oldNode), set, remove });
+  }
+
+  const oldKids = childNodes(oldNode);
+  const newKids = childNodes(newNode);
+  const common = Math.min(oldKids.length, newKids.length);
+  for (let i = 0; i < common; i++) {
+    diffNode(oldKids[i], newKids[i], [...path, i], ops);
+  }
+  if (newKids.length > oldKids.length) {
+    const html = newKids.slice(common).map(outerHtml).join('');
+    ops.push({ op: 'append', path, name: nodeName(oldNode), html });
+  } else if (oldKids.length > newKids.length) {
+    ops.push({ op: 'truncate', path, name: nodeName(oldNode), length: newKids.length });
+  }
+}
+
+/**
+ * Compute structural patch ops turning `oldHtml` into `newHtml`.
+ * Returns null when a full resync is cheaper or the roots are incomparable.
+ */
+export function diffHtml(oldHtml, newHtml) {
+  if (!oldHtml || !newHtml) return null;
+  const oldRoot = rootElement(oldHtml);
+  const newRoot = rootElement(newHtml);
+  if (!oldRoot || !newRoot || oldRoot.name !== newRoot.name) return null;
+
+  const ops = [];
+  diffNode(oldRoot, newRoot, [], ops);
+  if (JSON.stringify(ops).length > newHtml.length * MAX_PATCH_RATIO) return null;
+  return ops;
+}
+
+// --- Apply ---
+
+function parseFragment(html) {
+  return parseDocument(html).children.slice();
+}
+
+function resolve(root, path, name) {
+  let node = root;
+  for (const i of path) node = node ? childNodes(node)[i] : null;
+  if (!node) throw new Error(`No node at ${path.join('.')}`);
+  if (name && nodeName(node) !== name) {
+    throw new Error(`Expected ${name} at ${path.join('.')}, found ${nodeName(node)}`);
+  }
+  return node;
+}
+
+/**
+ * Server-side counterpart of the client's patch application, used to rebuild
+ * historical snapshots from a keyframe. Throws if an op does not fit `html`.
+ */
+export function applyPatch(html, ops) {
+  const root = rootElement(html);
+  if (!root) throw new Error('No root element');
+  for (const op of ops) {
+    const node = resolve(root, op.path, op.name);
+    switch (op.op) {
+      case 'replace': {
+        if (node === root) throw new Error('Cannot replace root');
+        for (const n of parseFragment(op.html)) prepend(node, n);
+        removeElement(node);
+        break;
+      }
+      case 'text':
+        if (node.type !== 'text') throw new Error('Expected text node');
+        node.data = op.text;
+        break;
+      case 'attrs':
+        for (const k of op.remove) delete node.attribs[k.toLowerCase()];
+        for (const [k, v] of Object.entries(op.set)) node.attribs[k.toLowerCase()] = v;
+        break;
+      case 'append':
+        for (const n of parseFragment(op.html)) appendChild(node, n);
+        break;
+      case 'truncate': {
+        const kids = childNodes(node);
+        for (const n of kids.slice(op.length)) removeElement(n);
+        break;
+      }
+      default:
+        throw new Error(`Unknown patch op ${op.op}`);
+    }
+  }
+  return outerHtml(root);
+}
@@ -0,0 +1,238 @@
+import fs from 'fs';
+import { join } from 'path';
+import { PROJECT_DIR, PROFILES_DIR, SELECTOR_PROFILE } from './config.js';
+
+/**
+ * Selector profiles: the DOM details of one Claude Code webview layout, kept
+ * in profiles/*.json so that supporting a new extension release means adding
+ * a profile file, not editing code. A profile lists only the selectors it
+ * changes and falls back to another profile (the base one unless it names
+ * `fallback`) for the rest. Every key resolves to the selectors of the whole
+ * chain, most specific first, and page scripts use the first that matches.
+ *
+ * Profile file:
+ *   name          unique name
+ *   description   free text
+ *   fallback      profile to inherit from (default: BASE_PROFILE)
+ *   detect        selectors whose presence identifies this layout
+ *   minVersion    lowest extension version it applies to (optional)
+ *   maxVersion    highest extension version it applies to (optional)
+ *   selectors     { key: selector | [selectors] } for keys in SELECTOR_KEYS
+ */
+const BUILTIN_DIR = join(PROJECT_DIR, 'profiles');
+export const BASE_PROFILE = 'claude-code';
+
+export const SELECTOR_KEYS = [
+  'pastConversationsButton', // toggles the past conversations list
+  'sessionItem',             // one entry in that list
+  'sessionName',             // the entry's title, inside sessionItem
+  'sessionTime',             // the entry's timestamp, inside sessionItem
+  'sessionActive',           // matched by the entry of the open conversation
+  'modeButton',              // the mode toggle; its text is the current mode
+  'messageActions',          // only user turns carry this button
+  'diffWrapper'              // ancestor of a Monaco diff editor, replaced along with it
+];
+
+const profiles = new Map();
+const resolved = new Map();
+const warnedUnknown = new Set();
+
+// --- Versions ---
+
+function parseVersion(v) {
+  const m = String(v ?? '').match(/^(\d+)\.(\d+)(?:\.(\d+))?/);
+  return m ? [Number(m[1]), Number(m[2]), Number(m[3] || 0)] : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function appliesToVersion(profile, version) {
+  if (!version) return true;
+  const min = parseVersion(profile.minVersion);
+  const max = parseVersion(profile.maxVersion);
+  return (!min || compareVersions(version, min) >= 0) && (!max || compareVersions(version, max) <= 0);
+}
+
+// --- Loading ---
+
+const isSelector = v => typeof v === 'string' && v.trim() !== '';
+const selectorList = v => (v === undefined ? [] : [].concat(v));
+
+function checkProfile(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['must contain an object'];
+  const errors = [];
+  if (!isSelector(raw.name)) errors.push('"name" must be a non-empty string');
+  if (raw.fallback !== undefined && !isSelector(raw.fallback)) errors.push('"fallback" must be a profile name');
+  if (raw.detect !== undefined && !(Array.isArray(raw.detect) && raw.detect.every(isSelector))) {
+    errors.push('"detect" must be an array of selectors');
+  }
+  for (const key of ['minVersion', 'maxVersion']) {
+    if (raw[key] !== undefined && !parseVersion(raw[key])) errors.push(`"${key}" must be a version such as "2.0.0"`);
+  }
+  const selectors = raw.selectors ?? {};
+  if (typeof selectors !== 'object' || Array.isArray(selectors)) {
+    errors.push('"selectors" must be an object');
+    return errors;
+  }
+  for (const [key, value] of Object.entries(selectors)) {
+    const list = selectorList(value);
+    if (!SELECTOR_KEYS.includes(key)) errors.push(`unknown selector "${key}"`);
+    else if (!list.length || !list.every(isSelector)) errors.push(`"${key}" must be a selector or an array of selectors`);
+  }
+  return errors;
+}
+
+function loadDir(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    console.error(`[Profiles] Cannot read ${dir}: ${e.message}`);
+    return;
+  }
+  for (const file of files) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(join(dir, file), 'utf8'));
+    } catch (e) {
+      console.error(`[Profiles] Skipping ${file}: ${e.message}`);
+      continue;
+    }
+    const errors = checkProfile(raw);
+    if (errors.length) {
+      console.error(`[Profiles] Skipping ${file}: ${errors.join('; ')}`);
+      continue;
+    }
+    profiles.set(raw.name, { ...raw, file: join(dir, file) });
+  }
+}
+
+/** Follow fallbacks from `name` to the base profile; null on a missing link or a cycle. */
+function chainOf(name) {
+  const chain = [];
+  let profile = profiles.get(name);
+  while (profile) {
+    if (chain.includes(profile)) return null;
+    chain.push(profile);
+    if (profile.name === BASE_PROFILE) return chain;
+    profile = profiles.get(profile.fallback || BASE_PROFILE);
+  }
+  return null;
+}
+
+function loadProfiles() {
+  loadDir(BUILTIN_DIR);
+  if (PROFILES_DIR) loadDir(PROFILES_DIR);
+
+  const base = profiles.get(BASE_PROFILE);
+  const missing = SELECTOR_KEYS.filter(key => !base || selectorList(base.selectors?.[key]).length === 0);
+  if (missing.length) {
+    console.error(`[Profiles] The ${BASE_PROFILE} profile must define every selector; missing ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  for (const name of profiles.keys()) {
+    const chain = chainOf(name);
+    if (!chain) {
+      console.error(`[Profiles] Skipping ${name}: its fallback chain is broken or circular`);
+      continue;
+    }
+    const selectors = {};
+    for (const key of SELECTOR_KEYS) {
+      selectors[key] = [...new Set(chain.flatMap(p => selectorList(p.selectors?.[key])))];
+    }
+    resolved.set(name, { name, chain: chain.map(p => p.name), selectors });
+  }
+  console.log(`[Profiles] Loaded ${Array.from(resolved.keys()).join(', ')}`);
+}
+
+loadProfiles();
+
+// --- Detection ---
+
+/** What to probe a webview for: [{ name, detect }] of every profile that can be detected. */
+export function profileProbes() {
+  return Array.from(resolved.keys())
+    .map(name => ({ name, detect: profiles.get(name).detect || [] }))
+    .filter(p => p.detect.length > 0);
+}
+
+export function defaultProfile() {
+  return { ...resolved.get(BASE_PROFILE), version: null, matched: 0, detected: false, forced: false };
+}
+
+/**
+ * The profile for a probed webview ({ version, matches: { name: count } }).
+ * CLAUDE_SELECTOR_PROFILE wins when it names a known profile. Otherwise the
+ * profile with the most `detect` selectors present, skipping any whose
+ * version range excludes the extension version; ties go to the more specific
+ * profile. When nothing matches, the base profile is used until the next probe.
+ */
+export function pickProfile(probe) {
+  const version = probe?.version || null;
+  if (SELECTOR_PROFILE) {
+    if (resolved.has(SELECTOR_PROFILE)) {
+      return { ...resolved.get(SELECTOR_PROFILE), version, matched: 0, detected: true, forced: true };
+    }
+    if (!warnedUnknown.has(SELECTOR_PROFILE)) {
+      warnedUnknown.add(SELECTOR_PROFILE);
+      console.error(`[Profiles] Unknown selector profile "${SELECTOR_PROFILE}"; detecting instead`);
+    }
+  }
+
+  const parsed = parseVersion(version);
+  let best = null;
+  for (const [name, count] of Object.entries(probe?.matches || {})) {
+    const profile = resolved.get(name);
+    if (!profile || count === 0 || !appliesToVersion(profiles.get(name), parsed)) continue;
+    if (!best || count > best.matched || (count === best.matched && profile.chain.length > best.chain.length)) {
+      best = { ...profile, matched: count };
+    }
+  }
+  if (!best) return { ...defaultProfile(), version };
+  return { ...best, version, detected: true, forced: false };
+}
+
+/** False when a cascade's profile should be probed again. */
+export function profileIsCurrent(profile) {
+  if (!profile || !profile.detected) return false;
+  if (SELECTOR_PROFILE && resolved.has(SELECTOR_PROFILE)) return profile.forced && profile.name === SELECTOR_PROFILE;
+  return !profile.forced;
+}
+
+/**
+ * Page-side helpers over a profile's selectors, for embedding in evaluated
+ * scripts: queryFirst(key, scope), queryAll(key, scope) and matchesAny(el, key)
+ * try each selector of the chain in turn.
+ */
+export function pageSelectors(profile) {
+  return `
+    const PROFILE_SELECTORS = ${JSON.stringify((profile || defaultProfile()).selectors)};
+    const queryFirst = (key, scope = document) => {
+      for (const sel of PROFILE_SELECTORS[key] || []) {
+        try {
+          const el = scope.querySelector(sel);
+          if (el) return el;
+        } catch (e) {}
+      }
+      return null;
+    };
+    const queryAll = (key, scope = document) => {
+      for (const sel of PROFILE_SELECTORS[key] || []) {
+        try {
+          const els = scope.querySelectorAll(sel);
+          if (els.length) return Array.from(els);
+        } catch (e) {}
+      }
+      return [];
+    };
+    const matchesAny = (el, key) => !!el && !!el.matches && (PROFILE_SELECTORS[key] || []).some((sel) => {
+      try { return el.matches(sel); } catch (e) { return false; }
+    });
+  `;
+}
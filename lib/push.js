@@ -2,6 +2,7 @@ import fs from 'fs';
 import { join } from 'path';
 import webpush from 'web-push';
 import { PROJECT_DIR } from './config.js';
+import { pushDeliveries, pushFailures } from './metrics.js';
 
 const VAPID_KEYS_FILE = join(PROJECT_DIR, '.vapid-keys.json');
 const PUSH_COOLDOWN = 15000;
@@ -45,7 +46,9 @@ export async function sendPushNotification(title, body, tag) {
   for (const [endpoint, sub] of pushSubscriptions) {
     try {
       await webpush.sendNotification(sub, payload);
+      pushDeliveries.inc();
     } catch (err) {
+      pushFailures.inc({ status: err.statusCode || 'error' });
       if (err.statusCode === 410 || err.statusCode === 404) {
         stale.push(endpoint);
       }
@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import { parseDocument } from 'htmlparser2';
+import render from 'dom-serializer';
+import { append } from 'domutils';
+import {
+  REDACT_ENABLED, REDACT_DETECTORS, REDACT_PATTERNS, REDACT_ENTROPY_THRESHOLD, onConfigChange
+} from './config.js';
+
+const MAX_STORED_SECRETS = 500;
+
+// --- Detectors ---
+
+function shannonEntropy(str) {
+  const counts = new Map();
+  for (const ch of str) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const n of counts.values()) {
+    const p = n / str.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Each detector finds secrets in a run of plain text, in priority order:
+ * when matches overlap, the earlier detector wins. `group` selects the
+ * capture group to mask so that e.g. `API_KEY=` stays readable.
+ */
+const BUILTIN_DETECTORS = {
+  // Without an END line (still streaming, or cut off), the base64 lines that follow.
+  'private-key': {
+    regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----(?:[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----|(?:\s+[A-Za-z0-9+/=]{8,})*)/g
+  },
+  'aws-access-key': {
+    regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g
+  },
+  'aws-secret-key': {
+    regex: /aws_?secret_?access_?key\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})/gi,
+    group: 1
+  },
+  'github-token': {
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  'jwt': {
+    regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  'bearer-token': {
+    regex: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/g,
+    group: 1
+  },
+  'env-assignment': {
+    regex: /\b[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY)[A-Z0-9_]*\s*[=:]\s*["']?([^\s"'<]{6,}?)(?=["'\s<]|$)/g,
+    group: 1
+  },
+  'high-entropy': {
+    regex: /[A-Za-z0-9+_-]{32,}={0,2}/g,
+    accept: (value) => /[0-9]/.test(value) && /[a-z]/.test(value) && /[A-Z]/.test(value)
+      && shannonEntropy(value) >= REDACT_ENTROPY_THRESHOLD
+  }
+};
+
+function compileUserPatterns() {
+  const out = {};
+  REDACT_PATTERNS.forEach((source, i) => {
+    try {
+      out[`custom-${i + 1}`] = { regex: new RegExp(source, 'g') };
+    } catch (e) {
+      console.error(`[Redact] Ignoring invalid pattern ${JSON.stringify(source)}: ${e.message}`);
+    }
+  });
+  return out;
+}
+
+// User patterns rank above the generic high-entropy catch-all.
+function buildDetectors() {
+  const enabledBuiltins = Object.entries(BUILTIN_DETECTORS)
+    .filter(([name]) => REDACT_DETECTORS.includes(name));
+  return [
+    ...enabledBuiltins.filter(([name]) => name !== 'high-entropy'),
+    ...Object.entries(compileUserPatterns()),
+    ...enabledBuiltins.filter(([name]) => name === 'high-entropy')
+  ];
+}
+
+let DETECTORS = buildDetectors();
+
+onConfigChange((changed) => {
+  if (changed.has('redactDetectors') || changed.has('redactPatterns')) DETECTORS = buildDetectors();
+});
+
+// --- Masking ---
+
+export function secretId(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+}
+
+function escapeText(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(str) {
+  return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function maskMarkup(id, type) {
+  return `<span class="vsc-redacted" data-redact-id="${id}" data-redact-type="${escapeAttr(type)}">•••• ${escapeAttr(type)}</span>`;
+}
+
+/** Collect non-overlapping matches in text order. */
+function findSecrets(text) {
+  const kept = [];
+  const overlaps = (start, end) => kept.some(k => start < k.end && end > k.start);
+  for (const [type, det] of DETECTORS) {
+    det.regex.lastIndex = 0;
+    let m;
+    while ((m = det.regex.exec(text)) !== null) {
+      if (m[0].length === 0) { det.regex.lastIndex++; continue; }
+      const value = det.group ? m[det.group] : m[0];
+      if (!value) continue;
+      if (det.accept && !det.accept(value)) continue;
+      const start = m.index + (det.group ? m[0].indexOf(value) : 0);
+      const end = start + value.length;
+      if (!overlaps(start, end)) kept.push({ type, value, start, end });
+    }
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+function remember(store, id, type, value) {
+  if (!store) return;
+  if (store.has(id)) store.delete(id);
+  store.set(id, { type, value });
+  while (store.size > MAX_STORED_SECRETS) {
+    store.delete(store.keys().next().value);
+  }
+}
+
+// --- HTML ---
+
+// Text inside these runs on into its neighbours; any other element, or <br>, breaks the line.
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i', 'ins', 'kbd',
+  'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+]);
+
+// Attributes that hold markup, styling or geometry rather than words.
+const STRUCTURAL_ATTRS = new Set([
+  'class', 'id', 'style', 'd', 'viewbox', 'points', 'transform', 'data-redact-id', 'data-redact-type'
+]);
+
+/**
+ * The text of the tree as the page reads it: adjacent inline runs join up
+ * (so a key split over highlighting spans is whole again) and block
+ * boundaries become newlines. `runs` maps offsets back to text nodes.
+ */
+function flattenText(root) {
+  const runs = [];
+  let text = '';
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        runs.push({ node: child, start: text.length, end: text.length + child.data.length });
+        text += child.data;
+      } else if (child.type === 'tag') {
+        const block = !INLINE_TAGS.has(child.name);
+        if (block) text += '\n';
+        walk(child);
+        if (block) text += '\n';
+      }
+    }
+  };
+  walk(root);
+  return { text, runs };
+}
+
+/**
+ * Replace text[start, end) with the mask: the first text node it touches
+ * keeps what came before and is followed by the mask, the rest lose the
+ * covered part. Secrets must be applied last to first, so that the offsets
+ * of those still to come stay valid.
+ */
+function maskRuns(runs, secret, markup) {
+  const touched = runs.filter(r => r.start < secret.end && r.end > secret.start);
+  touched.forEach((r, i) => {
+    const from = Math.max(0, secret.start - r.start);
+    const to = Math.min(r.end, secret.end) - r.start;
+    if (i > 0) {
+      r.node.data = r.node.data.slice(to);
+      return;
+    }
+    const after = r.node.data.slice(to);
+    r.node.data = r.node.data.slice(0, from);
+    const inserted = parseDocument(markup + escapeText(after)).children;
+    for (const n of inserted.reverse()) append(r.node, n);
+  });
+}
+
+function redactAttributes(node) {
+  let changed = false;
+  for (const child of node.children || []) {
+    if (child.type !== 'tag') continue;
+    for (const [name, value] of Object.entries(child.attribs)) {
+      if (STRUCTURAL_ATTRS.has(name) || value.startsWith('data:')) continue;
+      const secrets = findSecrets(value);
+      if (secrets.length === 0) continue;
+      let out = '';
+      let pos = 0;
+      for (const s of secrets) {
+        out += value.slice(pos, s.start) + `•••• ${s.type}`;
+        pos = s.end;
+      }
+      child.attribs[name] = out + value.slice(pos);
+      changed = true;
+    }
+    if (redactAttributes(child)) changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Mask secrets in an HTML string: in its text as rendered, across element
+ * boundaries, and in attribute values. Masked text is kept in `store`
+ * (id -> { type, value }) for later reveal; attribute values are not
+ * revealable. Returns `html` untouched when nothing was found.
+ */
+export function redactHtml(html, store) {
+  if (!REDACT_ENABLED || !html || DETECTORS.length === 0) return html;
+  const doc = parseDocument(html);
+  const { text, runs } = flattenText(doc);
+  const secrets = findSecrets(text);
+  for (const s of secrets.reverse()) {
+    const id = secretId(s.value);
+    remember(store, id, s.type, s.value);
+    maskRuns(runs, s, maskMarkup(id, s.type));
+  }
+  const attrsChanged = redactAttributes(doc);
+  if (secrets.length === 0 && !attrsChanged) return html;
+  return render(doc, { encodeEntities: 'utf8' });
+}
+
+/** Plain-text variant, for transcripts and exports. */
+export function redactText(text, store) {
+  if (!REDACT_ENABLED || !text || DETECTORS.length === 0) return text;
+  const secrets = findSecrets(text);
+  if (secrets.length === 0) return text;
+  let out = '';
+  let pos = 0;
+  for (const s of secrets) {
+    remember(store, secretId(s.value), s.type, s.value);
+    out += text.slice(pos, s.start) + `[REDACTED ${s.type}]`;
+    pos = s.end;
+  }
+  return out + text.slice(pos);
+}
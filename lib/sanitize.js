@@ -0,0 +1,143 @@
+import sanitizeHtml from 'sanitize-html';
+
+// --- Snapshot sanitizer ---
+
+/**
+ * Allowlist for captured webview HTML. Anything not listed here is dropped:
+ * <script>, <iframe>, <object>, <embed>, <base>, <meta>, SVG <foreignObject>
+ * and animation elements, every on* handler, srcdoc, formaction, and any
+ * href/src whose scheme is not explicitly allowed.
+ */
+const HTML_TAGS = [
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'button', 'caption', 'cite',
+  'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'li', 'main', 'mark', 'nav',
+  'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub',
+  'summary', 'sup', 'table', 'tbody', 'td', 'textarea', 'tfoot', 'th', 'thead',
+  'time', 'tr', 'u', 'ul', 'var', 'wbr', 'article', 'aside', 'form', 'option',
+  'select', 'progress', 'meter'
+];
+
+// Lower-case on purpose: the HTML parser restores SVG casing (viewBox, clipPath).
+const SVG_TAGS = [
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect',
+  'defs', 'clippath', 'lineargradient', 'radialgradient', 'stop', 'mask', 'symbol',
+  'use', 'title', 'desc', 'text', 'tspan'
+];
+
+const GLOBAL_ATTRS = [
+  'class', 'id', 'style', 'title', 'role', 'tabindex', 'dir', 'lang', 'hidden',
+  'aria-*', 'data-*'
+];
+
+const SVG_ATTRS = [
+  'viewbox', 'xmlns', 'width', 'height', 'fill', 'fill-rule', 'fill-opacity',
+  'clip-rule', 'clip-path', 'stroke', 'stroke-width', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-opacity', 'stroke-dasharray', 'opacity', 'd', 'x',
+  'y', 'x1', 'x2', 'y1', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'points', 'transform',
+  'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform',
+  'preserveaspectratio', 'href', 'mask', 'focusable', 'font-size', 'text-anchor'
+];
+
+const svgAttributes = Object.fromEntries(SVG_TAGS.map(tag => [tag, SVG_ATTRS]));
+
+// Matches style declarations that can load or execute something.
+// The quote sits inside the lookahead so an optional quote can't backtrack past it.
+// Browsers read "/\host" like "//host", so neither counts as a same-origin path.
+const UNSAFE_STYLE = /expression\s*\(|javascript:|vbscript:|url\s*\((?!\s*['"]?\s*(?:https?:|data:image\/|\/(?![\/\\])|#))|-moz-binding|behavior\s*:/i;
+
+function stripUnsafeStyle(tagName, attribs) {
+  if (attribs.style && UNSAFE_STYLE.test(attribs.style)) {
+    const kept = attribs.style
+      .split(';')
+      .filter(decl => decl.trim() && !UNSAFE_STYLE.test(decl))
+      .join(';');
+    if (kept) attribs.style = kept;
+    else delete attribs.style;
+  }
+  return { tagName, attribs };
+}
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...HTML_TAGS, ...SVG_TAGS],
+  disallowedTagsMode: 'discard',
+  // Dropped together with their content rather than unwrapped.
+  nonTextTags: [
+    'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'foreignobject',
+    'template', 'noembed', 'noframes', 'xmp', 'plaintext', 'math'
+  ],
+  allowedAttributes: {
+    '*': GLOBAL_ATTRS,
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    input: ['type', 'checked', 'disabled', 'value', 'placeholder', 'readonly'],
+    textarea: ['placeholder', 'readonly', 'rows', 'disabled'],
+    button: ['type', 'disabled'],
+    option: ['value', 'selected'],
+    select: ['disabled'],
+    label: ['for'],
+    details: ['open'],
+    td: ['colspan', 'rowspan', 'align'],
+    th: ['colspan', 'rowspan', 'align', 'scope'],
+    col: ['span'],
+    ol: ['start', 'type', 'reversed'],
+    li: ['value'],
+    time: ['datetime'],
+    progress: ['value', 'max'],
+    meter: ['value', 'min', 'max', 'low', 'high', 'optimum'],
+    ...svgAttributes
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  allowedSchemesAppliedToAttributes: ['href', 'src', 'cite'],
+  allowProtocolRelative: false,
+  parser: { lowerCaseTags: true, lowerCaseAttributeNames: true },
+  transformTags: {
+    '*': stripUnsafeStyle,
+    // Links in the snapshot must never navigate the app shell itself.
+    a: (tagName, attribs) => stripUnsafeStyle(tagName, {
+      ...attribs,
+      target: '_blank',
+      rel: 'noopener noreferrer'
+    })
+  },
+  exclusiveFilter: (frame) => {
+    // data: images are fine, data: SVG documents can carry script.
+    if (frame.tag === 'img' && /^\s*data:image\/svg/i.test(frame.attribs.src || '')) return true;
+    return false;
+  }
+};
+
+/** Neutralize a captured snapshot before it is stored or sent to clients. */
+export function sanitizeSnapshotHtml(html) {
+  if (!html) return html;
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+// --- Content-Security-Policy ---
+
+const CSP = [
+  "default-src 'self'",
+  "script-src 'self'",
+  // Captured webview CSS is applied via a <style> element and inline style attributes.
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+  "font-src 'self' data: https://fonts.gstatic.com",
+  "img-src 'self' data: blob:",
+  "connect-src 'self' ws: wss:",
+  "worker-src 'self'",
+  "manifest-src 'self'",
+  "object-src 'none'",
+  "frame-src 'none'",
+  "frame-ancestors 'none'",
+  "base-uri 'none'",
+  "form-action 'self'"
+].join('; ');
+
+export function securityHeaders(req, res, next) {
+  res.setHeader('Content-Security-Policy', CSP);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('X-Frame-Options', 'DENY');
+  next();
+}
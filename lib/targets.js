@@ -0,0 +1,303 @@
+import { PORTS } from './config.js';
+import { getJson, connectCDP } from './cdp.js';
+
+/**
+ * Live CDP targets per port, pushed by one browser-level connection instead
+ * of polled from /json/list. Target.setDiscoverTargets reports pages and
+ * webview iframes the moment they appear, change or go away. Flattened
+ * auto-attach on the browser and then on every attached target tells us
+ * which page an iframe lives in, and openerId ties auxiliary windows to the
+ * window that opened them, so each webview maps to a real VS Code window.
+ *
+ * port -> {
+ *   cdp, origin,
+ *   targets:   Map(targetId -> TargetInfo),
+ *   parents:   Map(targetId -> parent targetId),
+ *   sessions:  Map(targetId -> sessionId),
+ *   firstSeen: Map(targetId -> ms),
+ *   workspaces: Map(window targetId -> { title, path })
+ * }
+ */
+const browsers = new Map();
+const connecting = new Set();
+// port -> why the last browser connection attempt failed, for the port report.
+const browserErrors = new Map();
+
+let _onChange = () => {};
+let changeTimer = null;
+
+// A window opening fires a burst of created/attached/info events; reconcile once.
+const CHANGE_DEBOUNCE_MS = 100;
+// How long an iframe may wait for its parent to attach before it is listed without one.
+const ATTACH_GRACE_MS = 2000;
+
+const AUTO_ATTACH = {
+  autoAttach: true,
+  waitForDebuggerOnStart: false,
+  flatten: true,
+  filter: [{ type: 'page' }, { type: 'iframe' }]
+};
+
+// The workbench renderer knows which folder or .code-workspace it has open.
+const WORKSPACE_SCRIPT = `(() => {
+  try {
+    const context = globalThis.vscode && globalThis.vscode.context;
+    const config = context && typeof context.configuration === 'function' ? context.configuration() : null;
+    const workspace = config && config.workspace;
+    if (!workspace) return null;
+    const uri = workspace.uri || workspace.configPath;
+    if (!uri) return null;
+    return typeof uri === 'string' ? uri : (uri.path || uri.fsPath || null);
+  } catch (e) {
+    return null;
+  }
+})()`;
+
+/** Called (debounced) whenever the set of targets or their hierarchy changes. */
+export function onTargetsChanged(fn) {
+  _onChange = fn;
+}
+
+function changed() {
+  clearTimeout(changeTimer);
+  changeTimer = setTimeout(() => _onChange(), CHANGE_DEBOUNCE_MS);
+}
+
+// --- Browser connection ---
+
+async function connectBrowser(port) {
+  if (browsers.has(port) || connecting.has(port)) return;
+  connecting.add(port);
+  let cdp = null;
+  try {
+    const version = await getJson(`http://127.0.0.1:${port}/json/version`);
+    const url = version && version.webSocketDebuggerUrl;
+    if (!url) {
+      browserErrors.delete(port);
+      return;
+    }
+    cdp = await connectCDP(url, { runtime: false });
+    const browser = {
+      cdp,
+      origin: new URL(url).host,
+      targets: new Map(),
+      parents: new Map(),
+      sessions: new Map(),
+      firstSeen: new Map(),
+      workspaces: new Map()
+    };
+    const sessionTargets = new Map();
+    // A connection that failed to set up must not trigger rediscovery, or every pass retries it at once.
+    const browserChanged = () => {
+      if (browsers.get(port) === browser) changed();
+    };
+
+    cdp.on('Target.targetCreated', ({ targetInfo }) => {
+      browser.targets.set(targetInfo.targetId, targetInfo);
+      if (!browser.firstSeen.has(targetInfo.targetId)) browser.firstSeen.set(targetInfo.targetId, Date.now());
+      // If its parent never attaches, list it once the grace period is over.
+      if (targetInfo.type !== 'page') setTimeout(browserChanged, ATTACH_GRACE_MS + CHANGE_DEBOUNCE_MS);
+      browserChanged();
+    });
+    cdp.on('Target.targetInfoChanged', ({ targetInfo }) => {
+      const previous = browser.targets.get(targetInfo.targetId);
+      browser.targets.set(targetInfo.targetId, targetInfo);
+      if (!previous || previous.title !== targetInfo.title || previous.url !== targetInfo.url) browserChanged();
+    });
+    cdp.on('Target.targetDestroyed', ({ targetId }) => {
+      browser.targets.delete(targetId);
+      browser.parents.delete(targetId);
+      browser.firstSeen.delete(targetId);
+      browser.workspaces.delete(targetId);
+      browserChanged();
+    });
+    // Events from a child session carry that session's id: its target is the parent.
+    cdp.on('Target.attachedToTarget', ({ sessionId, targetInfo }, parentSessionId) => {
+      const targetId = targetInfo.targetId;
+      sessionTargets.set(sessionId, targetId);
+      browser.sessions.set(targetId, sessionId);
+      const parentId = parentSessionId && sessionTargets.get(parentSessionId);
+      if (parentId) browser.parents.set(targetId, parentId);
+      if (!browser.targets.has(targetId)) browser.targets.set(targetId, targetInfo);
+      // Keep descending: a window's webviews attach through the window's own session.
+      cdp.call('Target.setAutoAttach', AUTO_ATTACH, sessionId).catch(() => {});
+      browserChanged();
+    });
+    cdp.on('Target.detachedFromTarget', ({ sessionId }) => {
+      const targetId = sessionTargets.get(sessionId);
+      sessionTargets.delete(sessionId);
+      if (targetId && browser.sessions.get(targetId) === sessionId) browser.sessions.delete(targetId);
+    });
+    cdp.ws.on('close', () => {
+      if (browsers.get(port) !== browser) return;
+      browsers.delete(port);
+      console.log(`[Targets] Browser connection on port ${port} closed`);
+      changed();
+    });
+
+    await cdp.call('Target.setDiscoverTargets', { discover: true });
+    await cdp.call('Target.setAutoAttach', AUTO_ATTACH);
+    browsers.set(port, browser);
+    browserErrors.delete(port);
+    changed();
+    console.log(`[Targets] Watching targets on port ${port}`);
+  } catch (e) {
+    // No browser endpoint (or it refused Target.*); /json/list polling covers this port.
+    if (cdp) cdp.cleanup();
+    browserErrors.set(port, e.message || String(e));
+  } finally {
+    connecting.delete(port);
+  }
+}
+
+// --- Hierarchy ---
+
+/**
+ * The window a target belongs to: up through frame parents to the page, then
+ * along openerId to the window that opened it (auxiliary editor windows).
+ */
+function rootWindow(browser, targetId) {
+  const seen = new Set();
+  let id = targetId;
+  while (!seen.has(id)) {
+    seen.add(id);
+    const info = browser.targets.get(id);
+    const next = browser.parents.get(id) || (info && info.type === 'page' && info.openerId);
+    if (!next || !browser.targets.has(next)) break;
+    id = next;
+  }
+  const info = browser.targets.get(id);
+  return info && info.type === 'page' ? info : null;
+}
+
+/** Last path segment of a folder or .code-workspace URI path. */
+function workspaceName(path) {
+  const base = path.replace(/\/+$/, '').split('/').pop() || '';
+  let name = base;
+  try { name = decodeURIComponent(base); } catch {}
+  return name.replace(/\.code-workspace$/i, '');
+}
+
+/**
+ * "file.js - project - Visual Studio Code" -> "project". Only used when the
+ * workspace cannot be read from the window itself.
+ */
+export function projectFromWindowTitle(title) {
+  const parts = (title || '').split(' - ');
+  if (parts.length >= 3) return parts[parts.length - 2].trim();
+  if (parts.length === 2) return parts[0].trim();
+  return '';
+}
+
+async function windowWorkspace(browser, window) {
+  const cached = browser.workspaces.get(window.targetId);
+  // A window only changes workspace by reloading, which also changes its title.
+  if (cached && cached.title === window.title) return cached.path;
+  const sessionId = browser.sessions.get(window.targetId);
+  // Not attached yet: nothing to ask, try again next time.
+  if (!sessionId) return null;
+  let path = null;
+  try {
+    const res = await browser.cdp.call('Runtime.evaluate', {
+      expression: WORKSPACE_SCRIPT,
+      returnByValue: true
+    }, sessionId);
+    path = res?.result?.value || null;
+  } catch {}
+  browser.workspaces.set(window.targetId, { title: window.title, path });
+  return path;
+}
+
+// --- Listing ---
+
+function listFromBrowser(port, browser) {
+  const now = Date.now();
+  return Array.from(browser.targets.values()).map(info => {
+    const window = rootWindow(browser, info.targetId);
+    return {
+      id: info.targetId,
+      type: info.type,
+      title: info.title,
+      url: info.url,
+      port,
+      webSocketDebuggerUrl: `ws://${browser.origin}/devtools/page/${info.targetId}`,
+      windowId: window ? window.targetId : null,
+      windowTitle: window ? window.title : '',
+      firstSeen: browser.firstSeen.get(info.targetId) || null,
+      // Its window is not known yet; listing it now would misattribute it.
+      pending: !window && now - (browser.firstSeen.get(info.targetId) || 0) < ATTACH_GRACE_MS
+    };
+  });
+}
+
+async function listFromJson(port) {
+  const list = await getJson(`http://127.0.0.1:${port}/json/list`);
+  if (!Array.isArray(list)) return [];
+  const pages = new Map(list.filter(t => t.type === 'page').map(t => [t.id, t]));
+  // Without a parentId only a lone window is an unambiguous owner.
+  const lone = pages.size === 1 ? pages.values().next().value : null;
+  return list.map(t => {
+    const window = t.type === 'page' ? t : (pages.get(t.parentId) || lone);
+    return {
+      ...t,
+      port,
+      windowId: window ? window.id : null,
+      windowTitle: window ? window.title : ''
+    };
+  });
+}
+
+/**
+ * Every target on every port as { id, type, title, url, port,
+ * webSocketDebuggerUrl, windowId, windowTitle, pending, firstSeen }, plus per port how
+ * it was read: { port, mode: 'browser' | 'json-list', reachable, targets,
+ * browserError }, where browserError says why a polled port has no browser
+ * connection.
+ * Ports without a browser connection are (re)tried each call and fall back
+ * to /json/list; a running VS Code never lists zero targets, so an empty
+ * list means the port is down.
+ */
+export async function listTargets() {
+  const ports = [];
+  const lists = await Promise.all(PORTS.map(async (port) => {
+    await connectBrowser(port);
+    const browser = browsers.get(port);
+    const list = browser ? listFromBrowser(port, browser) : await listFromJson(port);
+    ports.push({
+      port,
+      mode: browser ? 'browser' : 'json-list',
+      reachable: !!browser || list.length > 0,
+      targets: list.length,
+      browserError: browser ? null : browserErrors.get(port) || null
+    });
+    return list;
+  }));
+  ports.sort((a, b) => a.port - b.port);
+  for (const port of browserErrors.keys()) {
+    if (!PORTS.includes(port)) browserErrors.delete(port);
+  }
+  // Ports dropped from the config since the last call are not watched any more.
+  for (const [port, browser] of browsers) {
+    if (PORTS.includes(port)) continue;
+    browsers.delete(port);
+    browser.cdp.cleanup();
+    console.log(`[Targets] Stopped watching port ${port}`);
+  }
+  return { targets: lists.flat(), ports };
+}
+
+/**
+ * The workspace of the window a listed target belongs to: { workspace, projectName }.
+ * `workspace` is the folder or .code-workspace path, null when it cannot be
+ * read (polled ports, empty windows); the project name then comes from the
+ * window title.
+ */
+export async function describeWindow(target) {
+  const browser = browsers.get(target.port);
+  const window = target.windowId && browser && browser.targets.get(target.windowId);
+  const workspace = window ? await windowWorkspace(browser, window) : null;
+  return {
+    workspace,
+    projectName: workspace ? workspaceName(workspace) : projectFromWindowTitle(target.windowTitle)
+  };
+}
@@ -0,0 +1,332 @@
+import { parseDocument, DomUtils } from 'htmlparser2';
+import { hashString } from './cdp.js';
+
+// --- Node helpers ---
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'dd', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tr', 'ul'
+]);
+
+// Webview chrome that carries no conversation content.
+const SKIP_TAGS = new Set(['button', 'svg', 'input', 'select', 'textarea', 'img']);
+
+const isTag = (node) => node.type === 'tag';
+const attr = (node, name) => (node.attribs && node.attribs[name]) || '';
+const hasClassPart = (node, part) => isTag(node) && attr(node, 'class').includes(part);
+
+function isHidden(node) {
+  return isTag(node) && ('hidden' in node.attribs || attr(node, 'aria-hidden') === 'true');
+}
+
+function isRedaction(node) {
+  return isTag(node) && /(^|\s)vsc-redacted(\s|$)/.test(attr(node, 'class'));
+}
+
+function redactionText(node) {
+  return `[REDACTED ${attr(node, 'data-redact-type') || 'secret'}]`;
+}
+
+function rawText(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node) || isHidden(node)) return '';
+  if (isRedaction(node)) return redactionText(node);
+  if (node.name === 'br') return '\n';
+  return (node.children || []).map(rawText).join('');
+}
+
+function tidy(text) {
+  return text
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function codeLanguage(pre) {
+  const code = DomUtils.findOne(n => n.name === 'code', pre.children || [], true);
+  const classes = `${attr(pre, 'class')} ${code ? attr(code, 'class') : ''}`;
+  const m = classes.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+  return m ? m[1] : '';
+}
+
+// --- Plain text ---
+
+function plainText(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node) || isHidden(node) || SKIP_TAGS.has(node.name)) return '';
+  if (isRedaction(node)) return redactionText(node);
+  if (node.name === 'br') return '\n';
+  if (node.name === 'pre') return `\n${rawText(node)}\n`;
+  if (hasClassPart(node, 'toolUse_')) {
+    const tool = parseToolCall(node);
+    const parts = [[tool.name, tool.summary].filter(Boolean).join(' '), tool.input, tool.output,
+      ...toolDiffs(node).map(pre => rawText(pre))];
+    return `\n${parts.filter(Boolean).join('\n')}\n`;
+  }
+  const inner = (node.children || []).map(plainText).join('');
+  if (node.name === 'td' || node.name === 'th') return `${inner}\t`;
+  return BLOCK_TAGS.has(node.name) ? `\n${inner}\n` : inner;
+}
+
+// --- Markdown ---
+
+/**
+ * Fenced blocks are stashed in ctx.fences and left as placeholders until the
+ * surrounding markdown has been tidied, so code keeps its exact whitespace.
+ */
+function fence(text, lang, ctx) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(s => s.length));
+  const ticks = '`'.repeat(longest + 1);
+  ctx.fences.push(`${ticks}${lang}\n${text.replace(/\n+$/, '')}\n${ticks}`);
+  return `\u0000${ctx.fences.length - 1}\u0000`;
+}
+
+function renderMarkdown(nodes) {
+  const ctx = { fences: [] };
+  const md = tidy(nodes.map(n => markdown(n, ctx)).join('\n\n'));
+  return md.replace(/\u0000(\d+)\u0000/g, (_, i) => ctx.fences[Number(i)]);
+}
+
+function inlineCode(text) {
+  const ticks = text.includes('`') ? '``' : '`';
+  return `${ticks}${text}${ticks}`;
+}
+
+function markdownChildren(node, ctx) {
+  return (node.children || []).map(child => markdown(child, ctx)).join('');
+}
+
+function markdownTable(table) {
+  const rows = DomUtils.findAll(n => n.name === 'tr', table.children || []);
+  if (rows.length === 0) return '';
+  const cells = rows.map(tr => (tr.children || [])
+    .filter(n => n.name === 'td' || n.name === 'th')
+    .map(cell => tidy(plainText(cell)).replace(/\n+/g, ' ').replace(/\|/g, '\\|')));
+  const width = Math.max(...cells.map(r => r.length));
+  const line = (r) => `| ${Array.from({ length: width }, (_, i) => r[i] || '').join(' | ')} |`;
+  return [line(cells[0]), line(Array(width).fill('---')), ...cells.slice(1).map(line)].join('\n');
+}
+
+function markdownTool(node, ctx) {
+  const tool = parseToolCall(node);
+  let out = `**Tool: ${tool.name || 'tool'}**`;
+  if (tool.summary) out += ` ${inlineCode(tool.summary)}`;
+  if (tool.input) out += `\n\n${fence(tool.input, '', ctx)}`;
+  if (tool.output) out += `\n\n${fence(tool.output, '', ctx)}`;
+  for (const pre of toolDiffs(node)) out += `\n\n${fence(rawText(pre), 'diff', ctx)}`;
+  return `\n\n${out}\n\n`;
+}
+
+function markdown(node, ctx) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (!isTag(node) || isHidden(node) || SKIP_TAGS.has(node.name)) return '';
+  if (isRedaction(node)) return redactionText(node);
+  if (hasClassPart(node, 'toolUse_')) return markdownTool(node, ctx);
+
+  const name = node.name;
+  const inner = () => markdownChildren(node, ctx);
+  const block = (text) => `\n\n${text.trim()}\n\n`;
+
+  if (/^h[1-6]$/.test(name)) return block(`${'#'.repeat(Number(name[1]))} ${inner().trim()}`);
+  switch (name) {
+    case 'br': return '\\\n';
+    case 'hr': return block('---');
+    case 'p': return block(inner());
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return text ? `_${text}_` : '';
+    }
+    case 'del':
+    case 's': return `~~${inner()}~~`;
+    case 'code': return inlineCode(rawText(node));
+    case 'pre': {
+      const lang = hasClassPart(node, 'vsc-diff-block') ? 'diff' : codeLanguage(node);
+      return block(fence(rawText(node), lang, ctx));
+    }
+    case 'a': {
+      const text = inner().trim();
+      const href = attr(node, 'href');
+      return href && text ? `[${text}](${href})` : text;
+    }
+    case 'blockquote':
+      return block(inner().trim().split('\n').map(l => `> ${l}`).join('\n'));
+    case 'ul':
+    case 'ol': {
+      const items = (node.children || []).filter(n => n.name === 'li');
+      const start = Number(attr(node, 'start')) || 1;
+      const lines = items.map((li, i) => {
+        const marker = name === 'ol' ? `${start + i}. ` : '- ';
+        const body = markdownChildren(li, ctx)
+          .trim().replace(/\n{2,}/g, '\n').split('\n');
+        return marker + body.join('\n' + ' '.repeat(marker.length));
+      });
+      return block(lines.join('\n'));
+    }
+    case 'table': return block(markdownTable(node));
+    default: {
+      const text = inner();
+      return BLOCK_TAGS.has(name) ? `\n${text}\n` : text;
+    }
+  }
+}
+
+// --- Structured parts ---
+
+/** Tool widgets render as toolUse_ > toolSummary_ + toolBody_ > toolBodyRow_ (IN / OUT). */
+function parseToolCall(node) {
+  const find = (part, root = node) => DomUtils.findOne(n => hasClassPart(n, part), root.children || [], true);
+  const nameEl = find('toolNameText_');
+  const summaryEl = find('toolNameTextSecondary');
+  const tool = {
+    name: nameEl ? tidy(plainText(nameEl)) : '',
+    summary: summaryEl ? tidy(plainText(summaryEl)) : '',
+    input: '',
+    output: ''
+  };
+  if (tool.summary && tool.name.endsWith(tool.summary)) {
+    tool.name = tool.name.slice(0, -tool.summary.length).trim();
+  }
+  const rows = DomUtils.findAll(n => hasClassPart(n, 'toolBodyRow_') && !hasClassPart(n, 'toolBodyRowLabel_')
+    && !hasClassPart(n, 'toolBodyRowContent_'), node.children || []);
+  for (const row of rows) {
+    const label = find('toolBodyRowLabel_', row);
+    const content = find('toolBodyRowContent_', row);
+    if (!content) continue;
+    const text = tidy(rawText(content));
+    const key = /^\s*out/i.test(label ? plainText(label) : '') ? 'output' : 'input';
+    if (!tool[key]) tool[key] = text;
+  }
+  if (!tool.output) {
+    const result = find('toolResult_');
+    if (result) tool.output = tidy(rawText(result));
+  }
+  return tool;
+}
+
+function toolDiffs(node) {
+  return DomUtils.findAll(n => n.name === 'pre' && hasClassPart(n, 'vsc-diff-block'), node.children || []);
+}
+
+function parseDiff(pre, tool) {
+  const text = rawText(pre).replace(/\n+$/, '');
+  const lines = text.split('\n');
+  return {
+    file: tool?.summary || null,
+    added: lines.filter(l => l.startsWith('+ ')).length,
+    removed: lines.filter(l => l.startsWith('- ')).length,
+    text
+  };
+}
+
+function collectParts(nodes) {
+  const codeBlocks = [];
+  const toolCalls = [];
+  const diffs = [];
+  const walk = (node, tool) => {
+    if (!isTag(node) || isHidden(node)) return;
+    if (hasClassPart(node, 'toolUse_') && !tool) {
+      const call = parseToolCall(node);
+      toolCalls.push(call);
+      (node.children || []).forEach(child => walk(child, call));
+      return;
+    }
+    if (node.name === 'pre') {
+      if (hasClassPart(node, 'vsc-diff-block')) diffs.push(parseDiff(node, tool));
+      else if (!tool) codeBlocks.push({ language: codeLanguage(node), code: rawText(node).replace(/\n+$/, '') });
+      return;
+    }
+    (node.children || []).forEach(child => walk(child, tool));
+  };
+  nodes.forEach(node => walk(node, null));
+  return { codeBlocks, toolCalls, diffs };
+}
+
+// --- Turns ---
+
+function findTurnElements(root) {
+  const marked = DomUtils.findAll(n => !!attr(n, 'data-msg-type'), root.children || []);
+  // Only outermost marks: a turn may contain elements marked by an older capture.
+  return marked.filter(el => {
+    for (let p = el.parent; p && p !== root; p = p.parent) {
+      if (attr(p, 'data-msg-type')) return false;
+    }
+    return true;
+  });
+}
+
+/** Consecutive elements of the same role form one turn. */
+function groupTurns(elements) {
+  const groups = [];
+  for (const el of elements) {
+    const role = attr(el, 'data-msg-type') === 'user' ? 'user' : 'assistant';
+    const last = groups[groups.length - 1];
+    if (last && last.role === role && role === 'assistant') last.nodes.push(el);
+    else groups.push({ role, nodes: [el] });
+  }
+  return groups;
+}
+
+/**
+ * Ids must survive an assistant reply growing while it streams and earlier
+ * turns scrolling out of the webview. A user turn is keyed by its own text
+ * (plus an occurrence count for repeats); everything after it by the
+ * preceding user turn and its position since then.
+ */
+function assignIds(turns) {
+  const seenUserText = new Map();
+  let anchor = 'start';
+  let sinceAnchor = 0;
+  for (const turn of turns) {
+    if (turn.role === 'user') {
+      const n = seenUserText.get(turn.text) || 0;
+      seenUserText.set(turn.text, n + 1);
+      turn.id = 't_' + hashString(`user\n${turn.text}\n${n}`).slice(0, 12);
+      anchor = turn.id;
+      sinceAnchor = 0;
+    } else {
+      turn.id = 't_' + hashString(`${turn.role}\n${anchor}\n${sinceAnchor}`).slice(0, 12);
+      sinceAnchor++;
+    }
+    turn.hash = hashString(turn.markdown).slice(0, 12);
+  }
+  return turns;
+}
+
+/** Build the structured transcript of one snapshot's HTML. */
+export function extractTranscript(html) {
+  const doc = parseDocument(html || '');
+  const root = DomUtils.findOne(n => attr(n, 'id') === 'claude-root', doc.children, true) || doc;
+  const elements = findTurnElements(root);
+  // Turn detection found nothing: expose the content as one unattributed turn.
+  const groups = elements.length ? groupTurns(elements) : [{ role: 'unknown', nodes: [root] }];
+
+  const turns = groups.map(({ role, nodes }) => {
+    const text = tidy(nodes.map(plainText).join('\n'));
+    const md = renderMarkdown(nodes);
+    return { id: null, role, text, markdown: md, ...collectParts(nodes) };
+  }).filter(turn => turn.text || turn.toolCalls.length || turn.diffs.length);
+
+  return assignIds(turns);
+}
+
+// --- Cache ---
+
+// Transcripts are rebuilt at most once per snapshot sequence number.
+const cache = new WeakMap();
+
+export function getTranscript(cascade) {
+  const hit = cache.get(cascade);
+  if (hit && hit.seq === cascade.snapshotSeq) return hit.turns;
+  const turns = extractTranscript(cascade.snapshot?.html);
+  cache.set(cascade, { seq: cascade.snapshotSeq, turns });
+  return turns;
+}
@@ -0,0 +1,249 @@
+import { TURN_STRATEGIES, TURN_DETECTION_MODE } from './config.js';
+
+/**
+ * User turn detection. The conversation is a container whose child DIVs are
+ * the turns; each strategy below looks at them in its own way and names the
+ * ones that are the user's, with a confidence between 0 and 1. Strategies
+ * that have nothing to say return null. `turnStrategies` picks which run and
+ * in what order, and `turnDetectionMode` how their answers are combined:
+ *
+ *   fallback  the first strategy in order that found user turns wins
+ *   vote      a turn is the user's when strategies holding more than half of
+ *             the total confidence say so
+ *
+ * Everything here runs inside the webview: the functions are embedded in
+ * page scripts by their source text, so they may only use their arguments
+ * and browser globals.
+ *
+ * ctx: { root, container, turns, turnOf(el), queryAll(key, scope), matchesAny(el, key) }
+ */
+
+// Only user turns carry the profile's "Message actions" button.
+function actionButtons(ctx) {
+  const users = new Set();
+  ctx.queryAll('messageActions', ctx.root).forEach((btn) => {
+    const turn = ctx.turnOf(btn);
+    if (turn) users.add(turn);
+  });
+  return users.size ? { users: Array.from(users), confidence: 0.95 } : null;
+}
+
+// Class names such as userMessage_x1 or chat-turn--assistant on a turn or just inside it.
+function classNames(ctx) {
+  const USER = ['user', 'human', 'you', 'prompt', 'request', 'query'];
+  const ASSISTANT = ['assistant', 'bot', 'ai', 'claude', 'response', 'answer', 'reply', 'model'];
+  const words = (turn) => {
+    const found = new Set();
+    const els = [turn].concat(Array.from(turn.querySelectorAll('*')).slice(0, 30));
+    els.forEach((el) => {
+      const cls = typeof el.className === 'string' ? el.className : (el.getAttribute('class') || '');
+      cls.split(/[\s_:-]+|(?=[A-Z][a-z])/).forEach(w => found.add(w.toLowerCase()));
+    });
+    return found;
+  };
+  let classified = 0;
+  const users = ctx.turns.filter((turn) => {
+    const w = words(turn);
+    const user = USER.some(x => w.has(x));
+    const assistant = ASSISTANT.some(x => w.has(x));
+    if (user !== assistant) classified++;
+    return user && !assistant;
+  });
+  // A word every turn shares says nothing about who wrote it.
+  if (!users.length || (users.length === ctx.turns.length && users.length > 1)) return null;
+  return { users, confidence: 0.85 * classified / ctx.turns.length };
+}
+
+// An avatar, or an image labelled "You" / "Claude", at the start of each turn.
+function avatars(ctx) {
+  const USER = /^(you|user|human|me)$/i;
+  const ASSISTANT = /^(claude|assistant|ai|bot)$/i;
+  const MARKERS = '[class*="avatar" i], [data-testid*="avatar" i], img[alt], [role="img"][aria-label]';
+  let classified = 0;
+  const users = ctx.turns.filter((turn) => {
+    const labels = Array.from(turn.querySelectorAll(MARKERS)).slice(0, 5).map(el =>
+      (el.getAttribute('alt') || el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent || '').trim());
+    const user = labels.some(l => USER.test(l));
+    const assistant = labels.some(l => ASSISTANT.test(l));
+    if (user !== assistant) classified++;
+    return user && !assistant;
+  });
+  if (!users.length) return null;
+  return { users, confidence: 0.8 * classified / ctx.turns.length };
+}
+
+// Chat layouts push the user's bubbles to the right or give them a background of their own.
+function alignment(ctx) {
+  const box = ctx.container.getBoundingClientRect();
+  if (!box.width || ctx.turns.length < 2) return null;
+  const TRANSPARENT = ['', 'transparent', 'rgba(0, 0, 0, 0)'];
+  const bubbleOf = (turn) => {
+    let el = turn;
+    for (let i = 0; i < 4 && el.children.length === 1; i++) el = el.children[0];
+    return el;
+  };
+  const info = ctx.turns.map((turn) => {
+    const el = bubbleOf(turn);
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    const bg = TRANSPARENT.includes(style.backgroundColor) ? null : style.backgroundColor;
+    const right = rect.width > 0 && rect.width < box.width * 0.9
+      && rect.left - box.left > box.right - rect.right + 8;
+    return { right: right || style.alignSelf === 'flex-end' || style.textAlign === 'right', bg };
+  });
+  let users = ctx.turns.filter((turn, i) => info[i].right);
+  if (!users.length) {
+    // The least common background that some, but not all, turns have.
+    const counts = new Map();
+    info.forEach((x) => { if (x.bg) counts.set(x.bg, (counts.get(x.bg) || 0) + 1); });
+    const bg = Array.from(counts.entries()).filter(([, n]) => n < ctx.turns.length).sort((a, b) => a[1] - b[1])[0];
+    if (bg) users = ctx.turns.filter((turn, i) => info[i].bg === bg[0]);
+  }
+  if (!users.length || users.length === ctx.turns.length) return null;
+  return { users, confidence: 0.6 };
+}
+
+// A short plain turn answered by a longer or richer one reads like a prompt and its reply.
+function textStructure(ctx) {
+  if (ctx.turns.length < 2) return null;
+  const RICH = 'pre, code, ul, ol, table, h1, h2, h3, h4, blockquote, .monaco-editor';
+  const info = ctx.turns.map(turn => ({ length: (turn.innerText || turn.textContent || '').trim().length, rich: !!turn.querySelector(RICH) }));
+  const users = ctx.turns.filter((turn, i) => {
+    const cur = info[i];
+    const next = info[i + 1];
+    if (!next || !cur.length || cur.rich || cur.length > 800) return false;
+    return next.rich || next.length > cur.length * 2;
+  });
+  if (!users.length || users.length === ctx.turns.length) return null;
+  return { users, confidence: 0.35 };
+}
+
+const STRATEGIES = {
+  'action-buttons': actionButtons,
+  'class-names': classNames,
+  avatars,
+  alignment,
+  'text-structure': textStructure
+};
+
+export const TURN_STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Runs the strategies and combines them; returns { users, strategy,
+ * confidence, strategies, found } where `strategies` is the serializable
+ * report and `found` holds the results that named any user turns.
+ */
+export function detectTurns(ctx, strategies, mode) {
+  const round = n => Math.round(n * 100) / 100;
+  const results = strategies.map(({ name, detect }) => {
+    try {
+      const found = detect(ctx);
+      return { name, users: found ? found.users : [], confidence: found ? round(found.confidence) : 0 };
+    } catch (e) {
+      return { name, users: [], confidence: 0, error: String((e && e.message) || e) };
+    }
+  });
+  const report = results.map(r => ({
+    name: r.name, confidence: r.confidence, userTurns: r.users.length, ...(r.error ? { error: r.error } : {})
+  }));
+  const found = results.filter(r => r.users.length && r.confidence > 0);
+  if (!found.length) return { users: [], strategy: null, confidence: 0, strategies: report, found };
+  if (mode !== 'vote') {
+    return { users: found[0].users, strategy: found[0].name, confidence: found[0].confidence, strategies: report, found };
+  }
+  const total = found.reduce((sum, r) => sum + r.confidence, 0);
+  const scores = ctx.turns.map(turn => found.reduce((sum, r) => sum + (r.users.includes(turn) ? r.confidence : 0), 0));
+  // The share of the voting confidence that sided with the outcome, averaged over turns.
+  const agreement = scores.reduce((sum, s) => sum + Math.max(s, total - s), 0) / (scores.length * total);
+  const best = Math.max(...found.map(r => r.confidence));
+  return {
+    users: ctx.turns.filter((turn, i) => scores[i] > total / 2),
+    strategy: 'vote',
+    confidence: round(agreement * best),
+    strategies: report,
+    found
+  };
+}
+
+/** The child DIV of the conversation that holds the turns, descending through wrappers. */
+function findTurnsContainer(startEl) {
+  let cur = startEl;
+  for (let d = 0; d < 15; d++) {
+    const kids = Array.from(cur.children).filter(c => c.tagName === 'DIV');
+    if (kids.length === 0) break;
+    let best = kids[0], bestLen = (best.innerText || '').length;
+    let totalLen = bestLen;
+    for (let j = 1; j < kids.length; j++) {
+      const len = (kids[j].innerText || '').length;
+      totalLen += len;
+      if (len > bestLen) { bestLen = len; best = kids[j]; }
+    }
+    if (kids.length <= 2 || (bestLen > totalLen * 0.7)) {
+      cur = best;
+    } else {
+      break;
+    }
+  }
+  return cur;
+}
+
+/** Child indexes leading from `ancestor` down to `el`, or null if it is not inside. */
+function elementPath(ancestor, el) {
+  const path = [];
+  for (let cur = el; cur !== ancestor; cur = cur.parentElement) {
+    if (!cur || !cur.parentElement) return null;
+    path.unshift(Array.prototype.indexOf.call(cur.parentElement.children, cur));
+  }
+  return path;
+}
+
+/** The element at `path` under `ancestor`, e.g. the same element in a clone. */
+function elementAtPath(ancestor, path) {
+  if (!path) return null;
+  let cur = ancestor;
+  for (const i of path) cur = cur && cur.children[i];
+  return cur || null;
+}
+
+const warnedUnknown = new Set();
+
+function enabledStrategies() {
+  for (const name of TURN_STRATEGIES) {
+    if (STRATEGIES[name] || warnedUnknown.has(name)) continue;
+    warnedUnknown.add(name);
+    console.error(`[Turns] Unknown turn strategy "${name}"; known: ${TURN_STRATEGY_NAMES.join(', ')}`);
+  }
+  return TURN_STRATEGIES.filter(name => STRATEGIES[name]);
+}
+
+/**
+ * Page-side turn detection for embedding in evaluated scripts, after
+ * pageSelectors(): defines findTurnsContainer(root),
+ * detectPageTurns(root, container), which returns detectTurns()'s result
+ * plus the container's turns, and elementPath()/elementAtPath() for finding
+ * the same elements in a clone.
+ */
+export function pageTurnDetection() {
+  const strategies = enabledStrategies()
+    .map(name => `{ name: ${JSON.stringify(name)}, detect: ${STRATEGIES[name].toString()} }`);
+  return `
+    ${findTurnsContainer.toString()}
+    ${detectTurns.toString()}
+    ${elementPath.toString()}
+    ${elementAtPath.toString()}
+    const detectPageTurns = (root, container) => {
+      const turns = Array.from(container.children).filter(c => c.tagName === 'DIV');
+      const turnSet = new Set(turns);
+      const turnOf = (el) => {
+        let current = el;
+        for (let i = 0; i < 20 && current && current !== root; i++) {
+          if (turnSet.has(current)) return current;
+          current = current.parentElement;
+        }
+        return null;
+      };
+      const ctx = { root, container, turns, turnOf, queryAll, matchesAny };
+      return { turns, ...detectTurns(ctx, [${strategies.join(',\n')}], ${JSON.stringify(TURN_DETECTION_MODE)}) };
+    };
+  `;
+}
@@ -16,8 +16,9 @@ let ws = null;
 let isSending = false;
 let followBottom = true;
 let updatePending = false;
-let lastHtml = '';
 let forceBottomOnNextUpdate = false;
+let sessionRole = 'viewer';
+let canReveal = false;
 
 const SCROLL_THRESHOLD = 24;
 const COLLAPSE_HEIGHT = 150;
@@ -31,6 +32,19 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * fetch() wrapper for API calls: the session cookie rides along automatically,
+ * and an expired or missing session sends the user back to the login page.
+ */
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    location.replace('/login.html');
+    throw new Error('Unauthorized');
+  }
+  return res;
+}
+
 function isAtBottom() {
   return chatContainer.scrollTop + chatContainer.clientHeight >= chatContainer.scrollHeight - SCROLL_THRESHOLD;
 }
@@ -219,6 +233,45 @@ function collapseOverflows() {
   });
 }
 
+// --- Redacted secrets ---
+
+// redactId -> plaintext, re-applied after every patch since the server keeps masking.
+const revealedSecrets = new Map();
+
+function applyReveals() {
+  const root = chatContent.querySelector('#claude-root');
+  if (!root) return;
+  root.querySelectorAll('.vsc-redacted').forEach(el => {
+    const value = revealedSecrets.get(el.getAttribute('data-redact-id'));
+    if (value === undefined) return;
+    el.textContent = value;
+    el.classList.add('revealed');
+  });
+}
+
+async function toggleReveal(el) {
+  const redactId = el.getAttribute('data-redact-id');
+  if (revealedSecrets.has(redactId)) {
+    revealedSecrets.delete(redactId);
+    el.textContent = `•••• ${el.getAttribute('data-redact-type') || 'secret'}`;
+    el.classList.remove('revealed');
+    return;
+  }
+  try {
+    const res = await apiFetch(`/reveal/${currentCascadeId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ redactId })
+    });
+    if (!res.ok) throw new Error('Reveal failed');
+    const data = await res.json();
+    revealedSecrets.set(redactId, data.value);
+    applyReveals();
+  } catch (e) {
+    console.error('Reveal failed:', e);
+  }
+}
+
 function cleanupDom() {
   const root = chatContent.querySelector('#claude-root');
   if (!root) return;
@@ -307,22 +360,310 @@ function patchNode(oldNode, newNode) {
   }
 }
 
-function applyDomDiff(html) {
-  if (!html || html === lastHtml) return;
-  lastHtml = html;
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, 'text/html');
-  const newRoot = doc.querySelector('#claude-root');
-  const oldRoot = chatContent.querySelector('#claude-root');
-  if (!newRoot) return;
-  if (!oldRoot) {
+// --- Snapshot patches ---
+
+// Pristine #claude-root of the current snapshot, before any decoration.
+// Full fetches replace it, WebSocket patches edit it in place, and the live
+// view is then reconciled against it with patchNode().
+let snapshotRoot = null;
+let snapshotSeq = 0;
+let snapshotDirty = false;
+let bufferedPatches = [];
+let renderScheduled = false;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function setSnapshot(html, seq) {
+  if (snapshotRoot && seq && seq === snapshotSeq) return;
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  snapshotRoot = doc.querySelector('#claude-root');
+  snapshotSeq = seq || 0;
+  snapshotDirty = true;
+}
+
+function resetSnapshot() {
+  snapshotRoot = null;
+  snapshotSeq = 0;
+  bufferedPatches = [];
+}
+
+function resolvePatchNode(path, name) {
+  let node = snapshotRoot;
+  for (const i of path) node = node ? node.childNodes[i] : null;
+  if (!node) throw new Error(`No node at ${path.join('.')}`);
+  if (name && node.nodeName.toUpperCase() !== name) {
+    throw new Error(`Expected ${name} at ${path.join('.')}, found ${node.nodeName}`);
+  }
+  return node;
+}
+
+/** Parse markup in the namespace of the element it will be inserted into. */
+function parseFragment(html, parent) {
+  const template = document.createElement('template');
+  if (parent && parent.namespaceURI === SVG_NS) {
+    template.innerHTML = `<svg>${html}</svg>`;
+    const frag = document.createDocumentFragment();
+    frag.append(...template.content.firstChild.childNodes);
+    return frag;
+  }
+  template.innerHTML = html;
+  return template.content;
+}
+
+function applyPatchOp(op) {
+  const node = resolvePatchNode(op.path, op.name);
+  switch (op.op) {
+    case 'replace':
+      if (node === snapshotRoot) throw new Error('Cannot replace root');
+      node.replaceWith(parseFragment(op.html, node.parentNode));
+      break;
+    case 'text':
+      if (node.nodeType !== Node.TEXT_NODE) throw new Error('Expected text node');
+      node.data = op.text;
+      break;
+    case 'attrs':
+      for (const name of op.remove) node.removeAttribute(name);
+      for (const [name, value] of Object.entries(op.set)) node.setAttribute(name, value);
+      break;
+    case 'append':
+      node.appendChild(parseFragment(op.html, node));
+      break;
+    case 'truncate':
+      while (node.childNodes.length > op.length) node.lastChild.remove();
+      break;
+    default:
+      throw new Error(`Unknown patch op ${op.op}`);
+  }
+}
+
+/** Returns false when the patch could not be applied and a full fetch is needed. */
+function applySnapshotPatch(patch) {
+  if (!snapshotRoot || patch.baseSeq !== snapshotSeq) return false;
+  try {
+    patch.ops.forEach(applyPatchOp);
+  } catch (e) {
+    console.warn('Snapshot patch failed, resyncing:', e.message);
+    resetSnapshot();
+    return false;
+  }
+  snapshotSeq = patch.seq;
+  snapshotDirty = true;
+  return true;
+}
+
+function handleSnapshotPatch(patch) {
+  if (patch.cascadeId !== currentCascadeId) return;
+  // A full fetch is in flight; replay on top of whatever it returns.
+  if (updatePending) {
+    bufferedPatches.push(patch);
+    return;
+  }
+  if (applySnapshotPatch(patch)) scheduleRender();
+  else updateContentOnly(currentCascadeId);
+}
+
+/** Returns false if a gap remains between the fetched snapshot and the buffered patches. */
+function replayBufferedPatches() {
+  const patches = bufferedPatches.sort((a, b) => a.seq - b.seq);
+  bufferedPatches = [];
+  for (const patch of patches) {
+    if (patch.cascadeId !== currentCascadeId || patch.seq <= snapshotSeq) continue;
+    if (!applySnapshotPatch(patch)) return false;
+  }
+  return true;
+}
+
+function subscribeToCascade() {
+  if (ws && ws.readyState === WebSocket.OPEN && currentCascadeId) {
+    ws.send(JSON.stringify({ type: 'subscribe', cascadeId: currentCascadeId }));
+  }
+}
+
+// --- Rendering ---
+
+function reconcileLiveRoot() {
+  // While scrubbing the timeline the historical snapshot is shown instead.
+  const source = timelineRoot || snapshotRoot;
+  if (!source || !snapshotDirty) return;
+  snapshotDirty = false;
+  const liveRoot = chatContent.querySelector('#claude-root');
+  if (!liveRoot) {
     chatContent.textContent = '';
-    chatContent.appendChild(newRoot.cloneNode(true));
+    chatContent.appendChild(source.cloneNode(true));
     return;
   }
-  patchNode(oldRoot, newRoot);
+  patchNode(liveRoot, source);
+}
+
+/** Coalesces full fetches and patches arriving within one frame into one render. */
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    const prevScrollTop = chatContainer.scrollTop;
+    const prevScrollHeight = chatContainer.scrollHeight;
+    const wasAtBottom = prevScrollHeight > 0 && isAtBottom();
+
+    reconcileLiveRoot();
+    cleanupDom();
+    decorateMessages();
+    colorizeDiffs();
+    collapseOverflows();
+    applyReveals();
+
+    const shouldStick = forceBottomOnNextUpdate || followBottom || wasAtBottom;
+    if (shouldStick) {
+      chatContainer.scrollTop = chatContainer.scrollHeight;
+    } else {
+      const delta = chatContainer.scrollHeight - prevScrollHeight;
+      chatContainer.scrollTop = Math.max(0, prevScrollTop + delta);
+    }
+    forceBottomOnNextUpdate = false;
+    updateScrollButtonVisibility();
+    if (turnDebug) drawTurnDebug();
+  });
+}
+
+// --- Session / role ---
+
+function isOperator() {
+  return sessionRole === 'operator';
+}
+
+/** Viewers see the live conversation but none of the controls that act on it. */
+async function loadSession() {
+  try {
+    const res = await apiFetch('/api/session');
+    if (!res.ok) return;
+    const data = await res.json();
+    sessionRole = data.role || 'viewer';
+    canReveal = !!data.canReveal;
+    themeMode = data.preferences?.theme || 'vscode';
+    applyTheme();
+  } catch {}
+  document.body.classList.toggle('role-viewer', !isOperator());
+}
+
+// --- Theme ---
+
+const themeSelect = document.getElementById('themeSelect');
+const themeColorMeta = document.getElementById('themeColorMeta');
+
+let themeMode = 'vscode';
+let vscodeLook = null;
+let vscodeLookKey = '';
+
+// App variables taken from VS Code while following its theme; the first value present wins.
+const VSCODE_THEME_SOURCES = {
+  '--bg-primary': ['bodyBg', '--vscode-sideBar-background', '--vscode-editor-background'],
+  '--bg-void': ['--vscode-editor-background', 'bodyBg'],
+  '--bg-panel': ['--vscode-tab-inactiveBackground', '--vscode-titleBar-activeBackground', '--vscode-editorWidget-background'],
+  '--bg-raised': ['--vscode-input-background', '--vscode-editorWidget-background'],
+  '--text-primary': ['bodyColor', '--vscode-foreground', '--vscode-editor-foreground'],
+  '--text-secondary': ['--vscode-descriptionForeground'],
+  '--border-subtle': ['--vscode-input-border', '--vscode-widget-border'],
+  '--font-display': ['fontFamily'],
+  '--font-mono': ['codeFontFamily']
+};
+
+// Shades VS Code has no direct counterpart for, mixed from the ones above.
+const VSCODE_THEME_DERIVED = {
+  '--bg-hover': 'color-mix(in srgb, var(--text-primary) 8%, var(--bg-panel))',
+  '--bg-active': 'color-mix(in srgb, var(--text-primary) 14%, var(--bg-panel))',
+  '--border-dim': 'color-mix(in srgb, var(--text-primary) 8%, transparent)',
+  '--border-medium': 'color-mix(in srgb, var(--text-primary) 20%, transparent)',
+  '--text-secondary': 'color-mix(in srgb, var(--text-primary) 78%, var(--bg-primary))',
+  '--text-muted': 'color-mix(in srgb, var(--text-primary) 62%, var(--bg-primary))',
+  '--text-ghost': 'color-mix(in srgb, var(--text-primary) 38%, var(--bg-primary))'
+};
+
+function isVisibleColor(value) {
+  return !!value && value !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(value);
+}
+
+function relativeLuminance(color) {
+  const m = (color || '').match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+  if (!m) return null;
+  return (0.2126 * m[1] + 0.7152 * m[2] + 0.0722 * m[3]) / 255;
+}
+
+/** Which built-in palette supplies accents for a VS Code theme. */
+function paletteFor(look) {
+  switch (look.themeKind) {
+    case 'vscode-light':
+    case 'vscode-high-contrast-light':
+      return 'light';
+    case 'vscode-high-contrast':
+      return 'high-contrast';
+    case 'vscode-dark':
+      return 'dark';
+  }
+  const luminance = relativeLuminance(look.bodyBg);
+  return luminance !== null && luminance > 0.5 ? 'light' : 'dark';
+}
+
+function lookValue(look, key) {
+  if (key.startsWith('--')) return (look.vscodeTheme || {})[key];
+  return look[key];
+}
+
+function applyTheme() {
+  const rootStyle = document.documentElement.style;
+  for (const name of [...Object.keys(VSCODE_THEME_DERIVED), ...Object.keys(VSCODE_THEME_SOURCES)]) {
+    rootStyle.removeProperty(name);
+  }
+
+  const following = themeMode === 'vscode' && vscodeLook;
+  document.documentElement.dataset.theme = following
+    ? paletteFor(vscodeLook)
+    : (themeMode === 'vscode' ? 'dark' : themeMode);
+
+  if (following) {
+    if (CSS.supports('color', 'color-mix(in srgb, red 50%, blue)')) {
+      for (const [name, value] of Object.entries(VSCODE_THEME_DERIVED)) rootStyle.setProperty(name, value);
+    }
+    for (const [name, keys] of Object.entries(VSCODE_THEME_SOURCES)) {
+      const isFont = name.startsWith('--font-');
+      const value = keys.map(k => lookValue(vscodeLook, k)).find(v => isFont ? !!v : isVisibleColor(v));
+      if (value) rootStyle.setProperty(name, value);
+    }
+  }
+
+  // The status bar tint follows the tab strip.
+  const tabs = document.querySelector('.tabs-wrapper');
+  if (tabs) themeColorMeta.content = getComputedStyle(tabs).backgroundColor;
 }
 
+/** Remember the theme values of a live snapshot; re-themes only when they change. */
+function updateVscodeLook(snapshot) {
+  const look = {
+    themeKind: snapshot.themeKind || null,
+    bodyBg: snapshot.bodyBg,
+    bodyColor: snapshot.bodyColor,
+    fontFamily: snapshot.fontFamily,
+    codeFontFamily: snapshot.codeFontFamily,
+    vscodeTheme: snapshot.vscodeTheme || {}
+  };
+  const key = JSON.stringify(look);
+  if (key === vscodeLookKey) return;
+  vscodeLookKey = key;
+  vscodeLook = look;
+  if (themeMode === 'vscode') applyTheme();
+}
+
+themeSelect.addEventListener('change', async () => {
+  themeMode = themeSelect.value;
+  applyTheme();
+  try {
+    await apiFetch('/api/preferences', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ theme: themeMode })
+    });
+  } catch {}
+});
+
 // --- Connection ---
 
 function setConnectionState(state, label) {
@@ -339,6 +680,12 @@ function connect() {
 
   ws.onopen = () => {
     setConnectionState('connected', 'Live');
+    // Patches sent while we were offline are gone; start from a full snapshot.
+    if (currentCascadeId) {
+      resetSnapshot();
+      subscribeToCascade();
+      updateContentOnly(currentCascadeId);
+    }
   };
 
   ws.onmessage = (event) => {
@@ -347,14 +694,35 @@ function connect() {
 
       if (data.type === 'cascade_list') {
         cascades = data.cascades || [];
+        if (data.now) serverClockOffset = data.now - Date.now();
         renderTabs();
         if (!currentCascadeId && cascades.length > 0) {
           selectCascade(cascades[0].id);
         }
       }
 
+      // Same chat panel, new id (its window opened another workspace): keep everything, just follow it.
+      if (data.type === 'cascade_renamed') {
+        cascades.forEach(c => { if (c.id === data.oldId) c.id = data.newId; });
+        if (currentCascadeId === data.oldId) {
+          currentCascadeId = data.newId;
+          subscribeToCascade();
+        }
+        renderTabs();
+      }
+
+      if (data.type === 'snapshot_patch') {
+        handleSnapshotPatch(data);
+      }
+
+      if (data.type === 'styles_update') {
+        if (data.cascadeId === currentCascadeId && data.hash !== stylesHash) {
+          loadStyles(currentCascadeId).catch(() => {});
+        }
+      }
+
       if (data.type === 'snapshot_update') {
-        if (data.cascadeId === currentCascadeId) {
+        if (data.cascadeId === currentCascadeId && !(data.seq && data.seq === snapshotSeq)) {
           updateContentOnly(currentCascadeId);
         }
       }
@@ -369,22 +737,57 @@ function connect() {
 
   ws.onclose = () => {
     setConnectionState('error', 'Offline');
-    setTimeout(connect, 2000);
+    // Upgrades are rejected without a valid session; find out before retrying.
+    apiFetch('/api/session')
+      .catch(() => {})
+      .then(() => setTimeout(connect, 2000));
   };
 }
 
 // --- Tabs ---
 
+// A healthy chat is captured at least every safety poll (15s); twice that is stale.
+const STALE_AFTER_MS = 30000;
+const STATE_LABELS = {
+  degraded: 'Connection degraded',
+  reconnecting: 'Reconnecting',
+  lost: 'Connection lost'
+};
+let serverClockOffset = 0;
+
+function captureAge(c) {
+  return c.capturedAt ? Math.max(0, Date.now() + serverClockOffset - c.capturedAt) : null;
+}
+
+function formatAge(ms) {
+  if (ms < 60000) return `${Math.floor(ms / 1000)}s`;
+  if (ms < 3600000) return `${Math.floor(ms / 60000)}m`;
+  return `${Math.floor(ms / 3600000)}h`;
+}
+
+function isStale(c) {
+  const age = captureAge(c);
+  return (c.state && c.state !== 'connected') || (age !== null && age > STALE_AFTER_MS);
+}
+
 function renderTabs() {
   if (cascades.length === 0) {
     tabsContainer.innerHTML = '<div class="tab tab-empty">No AI chat targets found</div>';
+    // Operators can see why: which ports answered and what each target scored.
+    if (isOperator()) {
+      const empty = tabsContainer.firstChild;
+      empty.classList.add('tab-status-link');
+      empty.title = 'Open server status';
+      empty.addEventListener('click', openStatus);
+    }
     return;
   }
 
   tabsContainer.innerHTML = '';
   cascades.forEach((c) => {
     const tab = document.createElement('div');
-    tab.className = 'tab' + (c.id === currentCascadeId ? ' active' : '') + (c.active ? ' active-window' : '');
+    tab.className = 'tab' + (c.id === currentCascadeId ? ' active' : '') + (c.active ? ' active-window' : '') +
+      (c.state && c.state !== 'connected' ? ` state-${c.state}` : '');
     tab.addEventListener('click', () => selectCascade(c.id));
     const dot = document.createElement('div');
     dot.className = 'tab-dot';
@@ -411,26 +814,55 @@ function renderTabs() {
       tab.appendChild(dot);
       tab.appendChild(span);
     }
+    if (isStale(c)) {
+      const age = captureAge(c);
+      const ageSpan = document.createElement('span');
+      ageSpan.className = 'tab-age';
+      ageSpan.textContent = age !== null ? formatAge(age) : '–';
+      tab.appendChild(ageSpan);
+      tab.title = [STATE_LABELS[c.state], age !== null ? `last update ${formatAge(age)} ago` : 'no update yet']
+        .filter(Boolean).join(' · ');
+    }
     tabsContainer.appendChild(tab);
   });
 }
 
+// Ages only move on the client; re-render while any tab shows one.
+setInterval(() => {
+  if (cascades.some(isStale)) renderTabs();
+}, 5000);
+
 function selectCascade(id) {
+  if (id !== currentCascadeId) {
+    revealedSecrets.clear();
+    resetSnapshot();
+    closeTimeline();
+  }
   currentCascadeId = id;
+  subscribeToCascade();
   renderTabs();
   loadCascade(id);
   fetchMode();
+  if (turnDebugBar.classList.contains('open')) loadTurnDebug();
 }
 
 // --- Content loading ---
 
+let stylesHash = null;
+
+/** The browser revalidates /styles by ETag, so an unchanged stylesheet costs a 304. */
+async function loadStyles(id) {
+  const res = await apiFetch(`/styles/${id}`);
+  if (!res.ok || id !== currentCascadeId) return;
+  const data = await res.json();
+  if (data.hash && data.hash === stylesHash) return;
+  stylesHash = data.hash || null;
+  document.getElementById('cascade-dynamic-style').textContent = data.css || '';
+}
+
 async function loadCascade(id) {
   try {
-    const styleRes = await fetch(`/styles/${id}`);
-    if (styleRes.ok) {
-      const styleData = await styleRes.json();
-      document.getElementById('cascade-dynamic-style').textContent = styleData.css || '';
-    }
+    await loadStyles(id);
     await updateContentOnly(id);
   } catch (e) {
     console.error(e);
@@ -440,37 +872,23 @@ async function loadCascade(id) {
 async function updateContentOnly(id) {
   if (updatePending) return;
   updatePending = true;
+  let inSync = true;
   try {
-    const res = await fetch(`/snapshot/${id}`);
+    const res = await apiFetch(`/snapshot/${id}`);
     if (!res.ok) throw new Error('Failed');
     const data = await res.json();
-
-    requestAnimationFrame(() => {
-      const prevScrollTop = chatContainer.scrollTop;
-      const prevScrollHeight = chatContainer.scrollHeight;
-      const wasAtBottom = prevScrollHeight > 0 && isAtBottom();
-
-      const html = data.html || '';
-      applyDomDiff(html);
-      cleanupDom();
-      decorateMessages();
-      colorizeDiffs();
-      collapseOverflows();
-
-      const shouldStick = forceBottomOnNextUpdate || followBottom || wasAtBottom;
-      if (shouldStick) {
-        chatContainer.scrollTop = chatContainer.scrollHeight;
-      } else {
-        const delta = chatContainer.scrollHeight - prevScrollHeight;
-        chatContainer.scrollTop = Math.max(0, prevScrollTop + delta);
-      }
-      forceBottomOnNextUpdate = false;
-      updateScrollButtonVisibility();
-      updatePending = false;
-    });
+    if (id === currentCascadeId) {
+      updateVscodeLook(data);
+      setSnapshot(data.html || '', data.seq);
+      inSync = replayBufferedPatches();
+      scheduleRender();
+    }
   } catch (e) {
+    // keep showing the last snapshot
+  } finally {
     updatePending = false;
   }
+  if (!inSync) updateContentOnly(id);
 }
 
 // --- Send message ---
@@ -484,7 +902,7 @@ async function sendMessage() {
   isSending = true;
 
   try {
-    const res = await fetch(`/send/${currentCascadeId}`, {
+    const res = await apiFetch(`/send/${currentCascadeId}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ message: text })
@@ -536,6 +954,15 @@ chatContent.addEventListener('click', async (e) => {
   if (!currentCascadeId) return;
 
   const target = e.target;
+  const redacted = target.closest('.vsc-redacted');
+  if (redacted) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (canReveal) toggleReveal(redacted);
+    return;
+  }
+  if (!isOperator()) return;
+
   const clickable = target.closest('button, [role="button"], [role="option"], [role="menuitem"], input[type="radio"], input[type="checkbox"], label, [tabindex="0"], [data-state]');
   if (!clickable) return;
 
@@ -562,7 +989,7 @@ chatContent.addEventListener('click', async (e) => {
   console.log(`[Click] Forwarding click: "${text}"`);
 
   try {
-    const res = await fetch(`/click/${currentCascadeId}`, {
+    const res = await apiFetch(`/click/${currentCascadeId}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ text })
@@ -584,9 +1011,9 @@ const modeBtn = document.getElementById('modeBtn');
 const modeLabel = document.getElementById('modeLabel');
 
 async function fetchMode() {
-  if (!currentCascadeId) return;
+  if (!currentCascadeId || !isOperator()) return;
   try {
-    const res = await fetch(`/mode/${currentCascadeId}`);
+    const res = await apiFetch(`/mode/${currentCascadeId}`);
     if (res.ok) {
       const data = await res.json();
       if (data.mode) modeLabel.textContent = data.mode;
@@ -598,7 +1025,7 @@ modeBtn.addEventListener('click', async () => {
   if (!currentCascadeId) return;
   modeLabel.textContent = '...';
   try {
-    const res = await fetch(`/mode/${currentCascadeId}`, { method: 'POST' });
+    const res = await apiFetch(`/mode/${currentCascadeId}`, { method: 'POST' });
     if (res.ok) {
       const data = await res.json();
       if (data.mode) modeLabel.textContent = data.mode;
@@ -628,7 +1055,7 @@ historyBtn.addEventListener('click', async () => {
   convPanel.innerHTML = '<div class="conv-loading">Loading...</div>';
 
   try {
-    const res = await fetch(`/conversations/${currentCascadeId}`);
+    const res = await apiFetch(`/conversations/${currentCascadeId}`);
     if (!res.ok) throw new Error('Failed');
     const data = await res.json();
     const items = data.items || [];
@@ -653,7 +1080,7 @@ historyBtn.addEventListener('click', async () => {
       btn.addEventListener('click', async () => {
         closeConvPanel();
         try {
-          await fetch(`/conversations/${currentCascadeId}`, {
+          await apiFetch(`/conversations/${currentCascadeId}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ title: item.title })
@@ -678,6 +1105,798 @@ document.addEventListener('click', (e) => {
   }
 });
 
+// --- Export ---
+
+const exportBtn = document.getElementById('exportBtn');
+const exportPanel = document.getElementById('exportPanel');
+
+function closeExportPanel() {
+  exportPanel.classList.remove('open');
+  exportBtn.classList.remove('active');
+}
+
+exportBtn.addEventListener('click', () => {
+  if (exportPanel.classList.contains('open')) { closeExportPanel(); return; }
+  if (!currentCascadeId) return;
+  exportPanel.querySelectorAll('[data-format]').forEach(link => {
+    link.href = `/export/${encodeURIComponent(currentCascadeId)}?format=${link.getAttribute('data-format')}`;
+  });
+  exportPanel.classList.add('open');
+  exportBtn.classList.add('active');
+});
+
+exportPanel.addEventListener('click', (e) => {
+  if (e.target.closest('[data-format]')) closeExportPanel();
+});
+
+document.addEventListener('click', (e) => {
+  if (exportPanel.classList.contains('open') && !exportPanel.contains(e.target) && !exportBtn.contains(e.target)) {
+    closeExportPanel();
+  }
+});
+
+// --- Timeline ---
+
+const timelineBtn = document.getElementById('timelineBtn');
+const timelineBar = document.getElementById('timelineBar');
+const timelineSlider = document.getElementById('timelineSlider');
+const timelineLabel = document.getElementById('timelineLabel');
+const timelinePlayBtn = document.getElementById('timelinePlayBtn');
+const timelineSpeed = document.getElementById('timelineSpeed');
+
+const REPLAY_MIN_STEP_MS = 80;
+const REPLAY_MAX_STEP_MS = 2000;
+
+let timelineEntries = [];
+let timelineRoot = null;
+let timelineTimer = null;
+let timelineRequest = 0;
+
+function formatTimelineLabel(index) {
+  const entry = timelineEntries[index];
+  if (!entry) return '';
+  return `${new Date(entry.ts).toLocaleTimeString()} · ${index + 1}/${timelineEntries.length}`;
+}
+
+async function showTimelineEntry(index) {
+  const entry = timelineEntries[index];
+  if (!entry || !currentCascadeId) return false;
+  timelineLabel.textContent = formatTimelineLabel(index);
+  // Scrubbing fires many requests; only the newest one may render.
+  const request = ++timelineRequest;
+  try {
+    // By seq: two entries can share a timestamp, and the clock can jump.
+    const res = await apiFetch(`/snapshot/${currentCascadeId}?seq=${entry.seq}`);
+    if (!res.ok) throw new Error('Failed');
+    const data = await res.json();
+    if (request !== timelineRequest || !timelineBar.classList.contains('open')) return false;
+    const doc = new DOMParser().parseFromString(data.html || '', 'text/html');
+    timelineRoot = doc.querySelector('#claude-root');
+    snapshotDirty = true;
+    scheduleRender();
+    return true;
+  } catch (e) {
+    if (request === timelineRequest) timelineLabel.textContent = 'Unavailable';
+    return false;
+  }
+}
+
+function stopReplay() {
+  clearTimeout(timelineTimer);
+  timelineTimer = null;
+  timelinePlayBtn.innerHTML = '&#9654;';
+  timelinePlayBtn.classList.remove('active');
+}
+
+/** Step through the history, compressing the real gaps by the chosen speed. */
+async function replayStep() {
+  const index = Number(timelineSlider.value) + 1;
+  if (index >= timelineEntries.length) {
+    stopReplay();
+    return;
+  }
+  timelineSlider.value = index;
+  await showTimelineEntry(index);
+  if (!timelineTimer) return;
+  const next = timelineEntries[index + 1];
+  const gap = next ? (next.ts - timelineEntries[index].ts) / Number(timelineSpeed.value) : 0;
+  timelineTimer = setTimeout(replayStep, Math.min(REPLAY_MAX_STEP_MS, Math.max(REPLAY_MIN_STEP_MS, gap)));
+}
+
+function startReplay() {
+  if (timelineEntries.length < 2) return;
+  if (Number(timelineSlider.value) >= timelineEntries.length - 1) {
+    timelineSlider.value = 0;
+    showTimelineEntry(0);
+  }
+  timelinePlayBtn.innerHTML = '&#10074;&#10074;';
+  timelinePlayBtn.classList.add('active');
+  timelineTimer = setTimeout(replayStep, REPLAY_MIN_STEP_MS);
+}
+
+async function openTimeline() {
+  if (!currentCascadeId) return;
+  timelineBar.classList.add('open');
+  timelineBtn.classList.add('active');
+  timelineLabel.textContent = 'Loading...';
+  try {
+    const res = await apiFetch(`/history/${currentCascadeId}`);
+    if (!res.ok) throw new Error('Failed');
+    const data = await res.json();
+    timelineEntries = data.entries || [];
+  } catch (e) {
+    timelineEntries = [];
+  }
+  if (timelineEntries.length === 0) {
+    timelineLabel.textContent = 'No history yet';
+    return;
+  }
+  timelineSlider.max = timelineEntries.length - 1;
+  timelineSlider.value = timelineEntries.length - 1;
+  timelineLabel.textContent = formatTimelineLabel(timelineEntries.length - 1);
+}
+
+function closeTimeline() {
+  stopReplay();
+  timelineRequest++;
+  timelineEntries = [];
+  timelineBar.classList.remove('open');
+  timelineBtn.classList.remove('active');
+  chatContainer.classList.remove('historical');
+  if (timelineRoot) {
+    timelineRoot = null;
+    snapshotDirty = true;
+    scheduleRender();
+  }
+}
+
+timelineBtn.addEventListener('click', () => {
+  if (timelineBar.classList.contains('open')) closeTimeline();
+  else openTimeline();
+});
+
+timelineSlider.addEventListener('input', () => {
+  stopReplay();
+  chatContainer.classList.add('historical');
+  showTimelineEntry(Number(timelineSlider.value));
+});
+
+timelinePlayBtn.addEventListener('click', () => {
+  if (timelineTimer) {
+    stopReplay();
+    return;
+  }
+  chatContainer.classList.add('historical');
+  startReplay();
+});
+
+document.getElementById('timelineLiveBtn').addEventListener('click', closeTimeline);
+
+// --- Archive search ---
+
+const searchBtn = document.getElementById('searchBtn');
+const searchPanel = document.getElementById('searchPanel');
+const searchTitle = document.getElementById('searchTitle');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchResults = document.getElementById('searchResults');
+const searchBackBtn = document.getElementById('searchBackBtn');
+const archiveView = document.getElementById('archiveView');
+
+const SEARCH_DEBOUNCE_MS = 250;
+let searchTimer = null;
+let searchRequest = 0;
+
+function searchTerms(query) {
+  return (query.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+}
+
+/** Append `text` to `el`, wrapping every occurrence of a search term in <mark>. */
+function appendHighlighted(el, text, terms) {
+  if (terms.length === 0) {
+    el.textContent = text;
+    return;
+  }
+  const pattern = new RegExp(terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'giu');
+  let last = 0;
+  for (const m of text.matchAll(pattern)) {
+    el.appendChild(document.createTextNode(text.slice(last, m.index)));
+    const mark = document.createElement('mark');
+    mark.textContent = m[0];
+    el.appendChild(mark);
+    last = m.index + m[0].length;
+  }
+  el.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function showSearchResults() {
+  archiveView.classList.remove('open');
+  archiveView.innerHTML = '';
+  searchForm.style.display = '';
+  searchResults.style.display = '';
+  searchBackBtn.style.display = 'none';
+  searchTitle.textContent = 'Search archive';
+}
+
+function renderSearchResult(result, terms) {
+  const row = document.createElement('div');
+  row.className = 'audit-item search-result';
+
+  const head = document.createElement('div');
+  head.className = 'audit-head';
+  const role = document.createElement('span');
+  role.className = 'audit-action';
+  role.textContent = result.role;
+  const where = document.createElement('span');
+  where.className = 'audit-where';
+  where.textContent = [result.project, result.title].filter(Boolean).join(' / ');
+  head.appendChild(role);
+  head.appendChild(where);
+
+  const body = document.createElement('div');
+  body.className = 'audit-payload';
+  appendHighlighted(body, result.snippet, terms);
+
+  const meta = document.createElement('div');
+  meta.className = 'device-meta';
+  meta.textContent = `active ${formatRelativeTime(result.lastSeen)}`;
+
+  row.appendChild(head);
+  row.appendChild(body);
+  row.appendChild(meta);
+  row.addEventListener('click', () => openArchived(result.conversationId, result.turnId));
+  return row;
+}
+
+async function runSearch() {
+  const q = searchInput.value.trim();
+  const request = ++searchRequest;
+  if (!q) {
+    searchResults.innerHTML = '';
+    return;
+  }
+  searchResults.innerHTML = '<div class="conv-loading">Searching...</div>';
+  try {
+    const res = await apiFetch(`/api/search?q=${encodeURIComponent(q)}`);
+    if (!res.ok) throw new Error('Failed');
+    const data = await res.json();
+    if (request !== searchRequest) return;
+    searchResults.innerHTML = '';
+    const terms = searchTerms(q);
+    (data.results || []).forEach(r => searchResults.appendChild(renderSearchResult(r, terms)));
+    if (!data.results?.length) searchResults.innerHTML = '<div class="conv-loading">No matches</div>';
+  } catch (e) {
+    if (request === searchRequest) searchResults.innerHTML = '<div class="conv-loading">Search failed</div>';
+  }
+}
+
+/** Show an archived conversation read-only, scrolled to `turnId`. */
+async function openArchived(conversationId, turnId) {
+  searchForm.style.display = 'none';
+  searchResults.style.display = 'none';
+  searchBackBtn.style.display = '';
+  archiveView.classList.add('open');
+  archiveView.innerHTML = '<div class="conv-loading">Loading...</div>';
+  try {
+    const res = await apiFetch(`/api/archive/${encodeURIComponent(conversationId)}`);
+    if (!res.ok) throw new Error('Failed');
+    const conv = await res.json();
+    searchTitle.textContent = [conv.project, conv.title].filter(Boolean).join(' / ');
+    archiveView.innerHTML = '';
+    const terms = searchTerms(searchInput.value);
+    let target = null;
+    for (const turn of conv.turns || []) {
+      const item = document.createElement('div');
+      item.className = `archive-turn ${turn.role}`;
+      const role = document.createElement('div');
+      role.className = 'audit-action';
+      role.textContent = turn.role;
+      const text = document.createElement('div');
+      text.className = 'archive-turn-text';
+      appendHighlighted(text, turn.text || '', terms);
+      item.appendChild(role);
+      item.appendChild(text);
+      if (turn.id === turnId) {
+        item.classList.add('target');
+        target = item;
+      }
+      archiveView.appendChild(item);
+    }
+    if (target) target.scrollIntoView({ block: 'center' });
+  } catch (e) {
+    archiveView.innerHTML = '<div class="conv-loading">Failed to load</div>';
+  }
+}
+
+function openSearch() {
+  searchPanel.classList.add('open');
+  searchBtn.classList.add('active');
+  showSearchResults();
+  searchInput.focus();
+}
+
+function closeSearch() {
+  searchPanel.classList.remove('open');
+  searchBtn.classList.remove('active');
+}
+
+searchBtn.addEventListener('click', () => {
+  if (searchPanel.classList.contains('open')) closeSearch();
+  else openSearch();
+});
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+});
+
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  clearTimeout(searchTimer);
+  runSearch();
+});
+
+searchBackBtn.addEventListener('click', showSearchResults);
+document.getElementById('searchCloseBtn').addEventListener('click', closeSearch);
+
+// --- Settings: paired devices ---
+
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsPanel = document.getElementById('settingsPanel');
+const deviceList = document.getElementById('deviceList');
+const pairingBox = document.getElementById('pairingBox');
+
+function formatRelativeTime(ts) {
+  const diff = Math.max(0, Date.now() - ts);
+  if (diff < 60000) return 'just now';
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+  return `${Math.floor(diff / 86400000)}d ago`;
+}
+
+async function loadDevices() {
+  deviceList.innerHTML = '<div class="conv-loading">Loading...</div>';
+  try {
+    const res = await apiFetch('/devices');
+    if (!res.ok) throw new Error('Failed');
+    const data = await res.json();
+    renderDevices(data.devices || []);
+  } catch (e) {
+    deviceList.innerHTML = '<div class="conv-loading">Failed to load</div>';
+  }
+}
+
+function renderDevices(list) {
+  deviceList.innerHTML = '';
+  if (list.length === 0) {
+    deviceList.innerHTML = '<div class="conv-loading">No devices</div>';
+    return;
+  }
+  list.forEach(d => {
+    const row = document.createElement('div');
+    row.className = 'device-item' + (d.current ? ' current' : '');
+
+    const info = document.createElement('div');
+    info.className = 'device-info';
+    const name = document.createElement('span');
+    name.className = 'device-name';
+    name.textContent = d.name + (d.current ? ' (this device)' : '');
+    const meta = document.createElement('span');
+    meta.className = 'device-meta';
+    meta.textContent = `${d.role} · ${d.method || 'login'} · ${d.ip || '?'} · ${formatRelativeTime(d.lastSeen)}`;
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'toolbar-btn';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', async () => {
+      const newName = prompt('Device name', d.name);
+      if (!newName || !newName.trim()) return;
+      try {
+        await apiFetch(`/devices/${d.id}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: newName.trim() })
+        });
+      } catch (e) {
+        console.error('Rename failed:', e);
+      }
+      loadDevices();
+    });
+
+    const roleBtn = document.createElement('button');
+    roleBtn.className = 'toolbar-btn';
+    const otherRole = d.role === 'operator' ? 'viewer' : 'operator';
+    roleBtn.textContent = `Make ${otherRole}`;
+    roleBtn.addEventListener('click', async () => {
+      try {
+        await apiFetch(`/devices/${d.id}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ role: otherRole })
+        });
+      } catch (e) {
+        console.error('Role change failed:', e);
+      }
+      if (d.current) {
+        location.reload();
+        return;
+      }
+      loadDevices();
+    });
+
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'toolbar-btn danger';
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.addEventListener('click', async () => {
+      if (!confirm(`Revoke access for "${d.name}"?`)) return;
+      try {
+        await apiFetch(`/devices/${d.id}`, { method: 'DELETE' });
+      } catch (e) {
+        console.error('Revoke failed:', e);
+      }
+      if (d.current) {
+        location.replace('/login.html');
+        return;
+      }
+      loadDevices();
+    });
+
+    row.appendChild(info);
+    row.appendChild(renameBtn);
+    row.appendChild(roleBtn);
+    row.appendChild(revokeBtn);
+    deviceList.appendChild(row);
+  });
+}
+
+// --- Settings: audit log ---
+
+const auditList = document.getElementById('auditList');
+const auditMoreBtn = document.getElementById('auditMoreBtn');
+let auditNextOffset = 0;
+
+function describeAuditPayload(entry) {
+  const p = entry.payload || {};
+  if (p.message) return p.message;
+  if (p.text) return p.text;
+  if (p.title) return p.title;
+  return '';
+}
+
+function renderAuditEntry(entry) {
+  const row = document.createElement('div');
+  row.className = 'audit-item' + (entry.result?.ok ? '' : ' failed');
+
+  const head = document.createElement('div');
+  head.className = 'audit-head';
+  const action = document.createElement('span');
+  action.className = 'audit-action';
+  action.textContent = entry.action;
+  const where = document.createElement('span');
+  where.className = 'audit-where';
+  where.textContent = [entry.project, entry.chatTitle].filter(Boolean).join(' / ') || entry.cascadeId || '';
+  head.appendChild(action);
+  head.appendChild(where);
+
+  const body = document.createElement('div');
+  body.className = 'audit-payload';
+  body.textContent = describeAuditPayload(entry);
+
+  const meta = document.createElement('div');
+  meta.className = 'device-meta';
+  const r = entry.result || {};
+  const outcome = r.ok ? (r.method || r.mode || r.matched || 'ok') : `failed: ${r.reason}`;
+  meta.textContent = `${new Date(entry.ts).toLocaleString()} · ${entry.deviceName || entry.ip} · ${outcome}`;
+
+  row.appendChild(head);
+  if (body.textContent) row.appendChild(body);
+  row.appendChild(meta);
+  return row;
+}
+
+async function loadAudit(reset) {
+  if (reset) {
+    auditNextOffset = 0;
+    auditList.innerHTML = '<div class="conv-loading">Loading...</div>';
+  }
+  try {
+    const res = await apiFetch(`/api/audit?offset=${auditNextOffset}&limit=30`);
+    if (!res.ok) throw new Error('Failed');
+    const data = await res.json();
+    if (reset) auditList.innerHTML = '';
+    (data.entries || []).forEach(entry => auditList.appendChild(renderAuditEntry(entry)));
+    if (reset && data.total === 0) {
+      auditList.innerHTML = '<div class="conv-loading">No actions recorded</div>';
+    }
+    auditNextOffset = data.nextOffset;
+    auditMoreBtn.style.display = data.nextOffset === null ? 'none' : '';
+  } catch (e) {
+    auditList.innerHTML = '<div class="conv-loading">Failed to load</div>';
+  }
+}
+
+auditMoreBtn.addEventListener('click', () => loadAudit(false));
+
+function openSettings() {
+  settingsPanel.classList.add('open');
+  settingsBtn.classList.add('active');
+  pairingBox.textContent = '';
+  themeSelect.value = themeMode;
+  if (isOperator()) {
+    loadDevices();
+    loadAudit(true);
+  }
+}
+
+function closeSettings() {
+  settingsPanel.classList.remove('open');
+  settingsBtn.classList.remove('active');
+}
+
+settingsBtn.addEventListener('click', () => {
+  if (settingsPanel.classList.contains('open')) closeSettings();
+  else openSettings();
+});
+
+document.getElementById('settingsCloseBtn').addEventListener('click', closeSettings);
+
+document.getElementById('pairBtn').addEventListener('click', async () => {
+  pairingBox.innerHTML = '<div class="conv-loading">Generating...</div>';
+  try {
+    const res = await apiFetch('/api/pairing', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ role: document.getElementById('pairRole').value })
+    });
+    if (!res.ok) throw new Error('Failed');
+    const data = await res.json();
+    pairingBox.innerHTML = '';
+    const img = document.createElement('img');
+    img.className = 'pairing-qr';
+    img.alt = 'Pairing QR code';
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(data.svg);
+    const link = document.createElement('div');
+    link.className = 'pairing-url';
+    link.textContent = data.url;
+    const expiry = document.createElement('div');
+    expiry.className = 'device-meta';
+    expiry.textContent = `One-time ${data.role} code, expires at ${new Date(data.expiresAt).toLocaleTimeString()}`;
+    pairingBox.appendChild(img);
+    pairingBox.appendChild(link);
+    pairingBox.appendChild(expiry);
+  } catch (e) {
+    pairingBox.innerHTML = '<div class="conv-loading">Failed to create pairing code</div>';
+  }
+});
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+  try {
+    await apiFetch('/logout', { method: 'POST' });
+  } catch {}
+  location.replace('/login.html');
+});
+
+// --- Settings: server status ---
+
+const statusPanel = document.getElementById('statusPanel');
+const statusServer = document.getElementById('statusServer');
+const statusPorts = document.getElementById('statusPorts');
+const statusCascades = document.getElementById('statusCascades');
+const statusTargets = document.getElementById('statusTargets');
+
+function statusRow(label, where, detail, meta, variant) {
+  const row = document.createElement('div');
+  row.className = 'audit-item' + (variant ? ` ${variant}` : '');
+  const head = document.createElement('div');
+  head.className = 'audit-head';
+  const action = document.createElement('span');
+  action.className = 'audit-action';
+  action.textContent = label;
+  const whereEl = document.createElement('span');
+  whereEl.className = 'audit-where';
+  whereEl.textContent = where || '';
+  head.appendChild(action);
+  head.appendChild(whereEl);
+  row.appendChild(head);
+  if (detail) {
+    const body = document.createElement('div');
+    body.className = 'audit-payload';
+    body.textContent = detail;
+    row.appendChild(body);
+  }
+  if (meta) {
+    const metaEl = document.createElement('div');
+    metaEl.className = 'device-meta';
+    metaEl.textContent = meta;
+    row.appendChild(metaEl);
+  }
+  return row;
+}
+
+function fillStatusList(list, rows, emptyText) {
+  list.innerHTML = '';
+  if (rows.length === 0) {
+    list.innerHTML = `<div class="conv-loading">${emptyText}</div>`;
+    return;
+  }
+  rows.forEach(row => list.appendChild(row));
+}
+
+function renderStatus(data) {
+  const { server, config, discovery } = data;
+  // Ages are computed against the server clock, like tab ages.
+  const ago = (ts) => formatRelativeTime(Date.now() - (data.now - ts));
+
+  fillStatusList(statusServer, [
+    statusRow(`v${server.version}`, `up ${formatAge(server.uptimeMs)}`,
+      `Ports ${config.ports.join(', ')} · types ${config.targetTypes.join(', ')}\n` +
+      `Title keywords: ${config.titleKeywords.join(', ')}\nURL keywords: ${config.urlKeywords.join(', ')}`,
+      `${server.wsClients} clients · ${server.pushSubscriptions} push subscriptions · node ${server.node}` +
+      (discovery ? ` · last scan ${ago(discovery.at)} (${discovery.durationMs} ms)` : ' · no scan yet'))
+  ], '');
+
+  fillStatusList(statusPorts, (discovery?.ports || []).map(p => statusRow(
+    String(p.port),
+    p.reachable ? (p.mode === 'browser' ? 'live target events' : 'polling /json/list') : 'not reachable',
+    p.browserError ? `Browser connection failed: ${p.browserError}` : '',
+    `${p.targets} targets`,
+    p.reachable ? '' : 'failed'
+  )), 'Not scanned yet');
+
+  fillStatusList(statusCascades, data.cascades.map(c => statusRow(
+    c.state,
+    [c.projectName, c.title].filter(Boolean).join(' / '),
+    c.lastError ? `${c.lastError.message} (${ago(c.lastError.at)})` : '',
+    `${c.id} · port ${c.port} · profile ${c.profile}` + (c.extensionVersion ? ` (extension ${c.extensionVersion})` : '') +
+      ' · ' + (c.capturedAt ? `captured ${ago(c.capturedAt)}` : 'never captured') +
+      (c.state === 'connected' ? '' : ` · ${c.state} since ${ago(c.since)}`),
+    c.state === 'connected' ? '' : (c.state === 'lost' ? 'failed' : 'pending')
+  )), 'No cascades');
+
+  // Accepted targets first, then the near misses.
+  const order = { accepted: 0, pending: 1, rejected: 2 };
+  const targets = (discovery?.targets || []).slice()
+    .sort((a, b) => order[a.status] - order[b.status] || b.score.total - a.score.total);
+  fillStatusList(statusTargets, targets.map(t => statusRow(
+    t.status,
+    t.title || t.url || t.id,
+    t.reason || '',
+    `${t.type} · port ${t.port} · score ${t.score.total} (title ${t.score.title}, url ${t.score.url})` +
+      (t.windowTitle ? ` · ${t.windowTitle}` : '') + (t.cascadeId ? ` · ${t.cascadeId}` : ''),
+    t.status === 'accepted' ? '' : (t.status === 'pending' ? 'pending' : 'failed')
+  )), 'No targets seen');
+}
+
+async function loadStatus() {
+  statusServer.innerHTML = '<div class="conv-loading">Loading...</div>';
+  try {
+    const res = await apiFetch('/api/status');
+    if (!res.ok) throw new Error('Failed');
+    renderStatus(await res.json());
+  } catch (e) {
+    statusServer.innerHTML = '<div class="conv-loading">Failed to load</div>';
+  }
+}
+
+function openStatus() {
+  closeSettings();
+  statusPanel.classList.add('open');
+  loadStatus();
+}
+
+function closeStatus() {
+  statusPanel.classList.remove('open');
+}
+
+document.getElementById('statusOpenBtn').addEventListener('click', openStatus);
+document.getElementById('statusRefreshBtn').addEventListener('click', loadStatus);
+document.getElementById('statusCloseBtn').addEventListener('click', closeStatus);
+
+// --- Settings: turn detection overlay ---
+
+const turnDebugBar = document.getElementById('turnDebugBar');
+const turnDebugSummary = document.getElementById('turnDebugSummary');
+const turnDebugStrategies = document.getElementById('turnDebugStrategies');
+const turnDebugLayer = document.getElementById('turnDebugLayer');
+const turnDebugDumpLink = document.getElementById('turnDebugDumpLink');
+// /debug-dom's answer for the open chat while the overlay is on.
+let turnDebug = null;
+
+/** Why a turn got its role, from the live detection (`info` is its entry in it). */
+function turnReason(detection, info, role) {
+  if (!detection.strategy) return 'no strategy found user turns';
+  if (role === 'unlabelled') return 'too little text to label';
+  const votes = info ? info.votes : [];
+  if (detection.strategy === 'vote') return votes.length ? `voted user: ${votes.join(', ')}` : 'no votes for user';
+  if (role === 'user') return `${detection.strategy} (${detection.confidence})`;
+  const others = votes.filter(name => name !== detection.strategy);
+  return `not marked by ${detection.strategy}` + (others.length ? `; ${others.join(', ')} would say user` : '');
+}
+
+function turnDebugBox(el, variant, label) {
+  const base = chatContainer.getBoundingClientRect();
+  const rect = el.getBoundingClientRect();
+  const box = document.createElement('div');
+  box.className = `turn-debug-box ${variant}`;
+  box.style.top = `${rect.top - base.top + chatContainer.scrollTop}px`;
+  box.style.left = `${rect.left - base.left + chatContainer.scrollLeft}px`;
+  box.style.width = `${rect.width}px`;
+  box.style.height = `${rect.height}px`;
+  const tag = document.createElement('span');
+  tag.className = 'turn-debug-label';
+  tag.textContent = label;
+  box.appendChild(tag);
+  turnDebugLayer.appendChild(box);
+}
+
+/** Outlines the turns container and every turn of the rendered snapshot; runs after each render. */
+function drawTurnDebug() {
+  turnDebugLayer.textContent = '';
+  if (!turnDebug) return;
+  const detection = turnDebug.turnDetection;
+  const root = chatContent.querySelector('#claude-root');
+  const container = root && root.querySelector('[data-turns-container="true"]');
+  const turns = container ? Array.from(container.children).filter(el => el.tagName === 'DIV') : [];
+
+  let summary = `${detection.strategy || 'no strategy'} · confidence ${detection.confidence} · ${detection.mode}` +
+    ` · ${detection.turns.filter(t => t.role === 'user').length}/${detection.turns.length} user turns`;
+  if (!container) summary += ' · this snapshot has no turns container';
+  else if (turns.length !== detection.turns.length) summary += ` · snapshot shows ${turns.length} turns, refresh`;
+  turnDebugSummary.textContent = summary;
+  turnDebugStrategies.textContent = detection.strategies
+    .map(s => `${s.name} ${s.error ? 'error' : (s.userTurns ? `${s.confidence}/${s.userTurns}` : '–')}`)
+    .join(' · ');
+
+  if (!container) return;
+  turnDebugBox(container, 'container', `turns container · root ${turnDebug.rootSelector}`);
+  turns.forEach((turn, i) => {
+    const role = turn.getAttribute('data-msg-type') || 'unlabelled';
+    turnDebugBox(turn, role, `#${i} ${role} · ${turnReason(detection, detection.turns[i], role)}`);
+  });
+}
+
+async function loadTurnDebug() {
+  const id = currentCascadeId;
+  turnDebug = null;
+  turnDebugLayer.textContent = '';
+  turnDebugStrategies.textContent = '';
+  if (!id) {
+    turnDebugSummary.textContent = 'No chat open';
+    return;
+  }
+  turnDebugSummary.textContent = 'Detecting...';
+  turnDebugDumpLink.href = `/debug-dom/${encodeURIComponent(id)}/dump`;
+  try {
+    const res = await apiFetch(`/debug-dom/${encodeURIComponent(id)}`);
+    const data = await res.json();
+    if (!res.ok || !data.turnDetection) throw new Error(data.error || 'Failed');
+    if (id !== currentCascadeId || !turnDebugBar.classList.contains('open')) return;
+    turnDebug = data;
+    drawTurnDebug();
+  } catch (e) {
+    turnDebugSummary.textContent = `Detection failed: ${e.message}`;
+  }
+}
+
+function openTurnDebug() {
+  closeSettings();
+  turnDebugBar.classList.add('open');
+  loadTurnDebug();
+}
+
+function closeTurnDebug() {
+  turnDebugBar.classList.remove('open');
+  turnDebug = null;
+  turnDebugLayer.textContent = '';
+}
+
+document.getElementById('turnDebugBtn').addEventListener('click', openTurnDebug);
+document.getElementById('turnDebugRefreshBtn').addEventListener('click', loadTurnDebug);
+document.getElementById('turnDebugCloseBtn').addEventListener('click', closeTurnDebug);
+window.addEventListener('resize', () => { if (turnDebug) drawTurnDebug(); });
+
 // --- Push notifications ---
 
 let VAPID_PUBLIC_KEY = null;
@@ -686,7 +1905,7 @@ let pushSubscription = null;
 
 async function fetchVapidKey() {
   try {
-    const res = await fetch('/vapid-public-key');
+    const res = await apiFetch('/vapid-public-key');
     const data = await res.json();
     VAPID_PUBLIC_KEY = data.publicKey;
   } catch (e) {
@@ -729,7 +1948,7 @@ async function togglePush() {
 
     const existing = await reg.pushManager.getSubscription();
     if (existing && pushSubscription) {
-      await fetch('/push-unsubscribe', {
+      await apiFetch('/push-unsubscribe', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(existing.toJSON())
@@ -755,7 +1974,7 @@ async function togglePush() {
       applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
     });
     pushSubscription = sub;
-    await fetch('/push-subscribe', {
+    await apiFetch('/push-subscribe', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(sub.toJSON())
@@ -779,7 +1998,7 @@ notifBtn.addEventListener('click', togglePush);
       if (sub) {
         pushSubscription = sub;
         setNotifState(true);
-        fetch('/push-subscribe', {
+        apiFetch('/push-subscribe', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(sub.toJSON())
@@ -791,5 +2010,7 @@ notifBtn.addEventListener('click', togglePush);
 
 // --- Init ---
 
+applyTheme();
+loadSession();
 connect();
 setTimeout(fetchMode, 3000);
@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════
+// VSClaude WebApp - Login
+// ═══════════════════════════════════════════
+
+const loginForm = document.getElementById('loginForm');
+const passcodeInput = document.getElementById('passcodeInput');
+const loginBtn = document.getElementById('loginBtn');
+const loginError = document.getElementById('loginError');
+
+if (new URLSearchParams(location.search).get('pairing') === 'invalid') {
+  loginError.textContent = 'Pairing code expired or already used';
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const passcode = passcodeInput.value.trim();
+  if (!passcode) return;
+
+  loginBtn.disabled = true;
+  loginError.textContent = '';
+  try {
+    const res = await fetch('/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ passcode })
+    });
+    if (!res.ok) {
+      let reason = 'Sign in failed';
+      try {
+        const data = await res.json();
+        reason = data.reason || data.error || reason;
+      } catch (err) {}
+      throw new Error(reason);
+    }
+    location.replace('/');
+  } catch (err) {
+    loginError.textContent = err.message;
+    passcodeInput.select();
+  } finally {
+    loginBtn.disabled = false;
+  }
+});
@@ -0,0 +1,35 @@
+// ═══════════════════════════════════════════
+// VSClaude WebApp - Pairing
+// ═══════════════════════════════════════════
+
+// The code is only used up on submit, so link previews that fetch the page leave it alone.
+const pairForm = document.getElementById('pairForm');
+const pairBtn = document.getElementById('pairBtn');
+const pairError = document.getElementById('pairError');
+const code = new URLSearchParams(location.search).get('code') || '';
+
+if (!code) {
+  pairError.textContent = 'This link has no pairing code';
+  pairBtn.disabled = true;
+}
+
+pairForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  pairBtn.disabled = true;
+  pairError.textContent = '';
+  try {
+    const res = await fetch('/pair', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
+    if (!res.ok) {
+      location.replace('/login.html?pairing=invalid');
+      return;
+    }
+    location.replace('/');
+  } catch (err) {
+    pairError.textContent = err.message;
+    pairBtn.disabled = false;
+  }
+});
@@ -6,71 +6,326 @@ import https from 'https';
 import fs from 'fs';
 import WebSocket from 'ws';
 import { join } from 'path';
+import QRCode from 'qrcode';
 
 import {
-  PROJECT_DIR, DISCOVERY_INTERVAL, POLL_INTERVAL, DUP_SEND_WINDOW_MS,
-  ROOT_SELECTORS
+  PROJECT_DIR, PORTS, DISCOVERY_INTERVAL, POLL_INTERVAL, HEARTBEAT_INTERVAL, DUP_SEND_WINDOW_MS,
+  ROOT_SELECTORS, REDACT_REVEAL_ROLES, TARGET_TYPES, TARGET_TITLE_KEYWORDS, TARGET_URL_KEYWORDS,
+  MIN_TEXT_LEN, CHANGE_OBSERVER_ENABLED, watchConfig, onConfigChange
 } from './lib/config.js';
 import { VAPID_PUBLIC_KEY, pushSubscriptions } from './lib/push.js';
 import {
-  evaluateInContexts, captureHTML, diagnoseTurnDetection,
+  ROLES, requireAuth, requireOperatorUnlessViewerRoute, verifyWsClient, hasMetricsToken,
+  checkPasscode, startSession, clientIp, clearSessionCookie, describePasscode
+} from './lib/auth.js';
+import {
+  devices, pruneExpiredDevices, updateDevice, revokeDevice, createPairingCode, consumePairingCode, pairingUrl,
+  THEME_MODES, getDevicePreferences, setDevicePreferences
+} from './lib/devices.js';
+import { recordAudit, readAudit } from './lib/audit.js';
+import { securityHeaders } from './lib/sanitize.js';
+import { redactHtml } from './lib/redact.js';
+import { listHistory, snapshotAt, snapshotAtSeq } from './lib/history.js';
+import { extractTranscript, getTranscript } from './lib/transcript.js';
+import { EXPORT_FORMATS, exportConversation, exportFilename } from './lib/export.js';
+import { listArchive, getArchivedConversation, searchArchive } from './lib/archive.js';
+import { getAsset } from './lib/assets.js';
+import { pageSelectors } from './lib/profiles.js';
+import { gauge, renderMetrics, sendResults, METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import {
+  evaluateInContexts, captureHTML, diagnoseTurnDetection, dumpDom,
   injectMessage, clickBack, clickByText, clickViewAll
 } from './lib/cdp.js';
 import {
-  cascades, lastSendByCascade, initDiscovery,
-  discover, updateSnapshots, refreshSnapshotOnce
+  cascades, lastSendByCascade, initDiscovery, getCascade, resolveCascadeId,
+  discover, updateSnapshots, refreshSnapshotOnce, checkHealth, getDiscoveryReport, flushArchives
 } from './lib/discovery.js';
 
+const { version: VERSION } = JSON.parse(fs.readFileSync(join(PROJECT_DIR, 'package.json'), 'utf8'));
+const startedAt = Date.now();
+// How long a SIGINT/SIGTERM waits for pending archive writes before giving up.
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
 // --- Broadcast helpers ---
 
 const allWsClients = new Set();
+gauge('vsclaude_ws_clients', 'Connected WebSocket clients', () => allWsClients.size);
 
 function broadcastCascadeList() {
   const cascadesList = Array.from(cascades.values()).map(c => ({
     id: c.id,
     title: c.metadata?.chatTitle || c.metadata?.windowTitle || 'Claude',
     projectName: c.metadata?.projectName || '',
-    active: !!c.metadata?.isActive
+    windowId: c.metadata?.windowId || null,
+    active: !!c.metadata?.isActive,
+    state: c.health.state,
+    capturedAt: c.capturedAt || null
   }));
-  const msg = JSON.stringify({ type: 'cascade_list', cascades: cascadesList });
+  // `now` lets clients turn capturedAt into an age without trusting their clock.
+  const msg = JSON.stringify({ type: 'cascade_list', cascades: cascadesList, now: Date.now() });
   allWsClients.forEach(c => {
     if (c.readyState === WebSocket.OPEN) c.send(msg);
   });
 }
 
-function broadcastSnapshotUpdate(cascadeId) {
-  const msg = JSON.stringify({ type: 'snapshot_update', cascadeId });
+function onWsConnection(ws, req) {
+  ws.session = req.session;
+  ws.cascadeId = null;
+  allWsClients.add(ws);
+  ws.on('close', () => allWsClients.delete(ws));
+  ws.on('message', (raw) => {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    // Patches are only pushed for the cascade a client is looking at.
+    if (msg?.type === 'subscribe') {
+      const requested = typeof msg.cascadeId === 'string' ? msg.cascadeId : null;
+      ws.cascadeId = requested && resolveCascadeId(requested);
+      // A client still holding a retired id missed the rename; tell it now.
+      if (requested && ws.cascadeId !== requested) {
+        ws.send(JSON.stringify({ type: 'cascade_renamed', oldId: requested, newId: ws.cascadeId }));
+      }
+    }
+  });
+  broadcastCascadeList();
+}
+
+function disconnectDevice(deviceId) {
+  allWsClients.forEach(c => {
+    if (c.session?.did === deviceId) c.close(4001, 'Device revoked');
+  });
+}
+
+/**
+ * Subscribers of the cascade get the structural patch; everyone else (and
+ * subscribers, when no patch could be computed) gets a ping to refetch.
+ */
+function broadcastSnapshotUpdate(cascadeId, patch) {
+  const seq = cascades.get(cascadeId)?.snapshotSeq || 0;
+  const ping = JSON.stringify({ type: 'snapshot_update', cascadeId, seq });
+  const patchMsg = patch && JSON.stringify({ type: 'snapshot_patch', cascadeId, ...patch });
+  allWsClients.forEach(c => {
+    if (c.readyState !== WebSocket.OPEN) return;
+    if (c.cascadeId === cascadeId) c.send(patchMsg || ping);
+    else if (!c.cascadeId) c.send(ping);
+  });
+}
+
+function broadcastStylesUpdate(cascadeId, hash) {
+  const msg = JSON.stringify({ type: 'styles_update', cascadeId, hash });
   allWsClients.forEach(c => {
+    if (c.readyState === WebSocket.OPEN && (!c.cascadeId || c.cascadeId === cascadeId)) c.send(msg);
+  });
+}
+
+/** Subscriptions follow the conversation; clients get told so they can too. */
+function broadcastCascadeRenamed(oldId, newId) {
+  const msg = JSON.stringify({ type: 'cascade_renamed', oldId, newId });
+  allWsClients.forEach(c => {
+    if (c.cascadeId === oldId) c.cascadeId = newId;
     if (c.readyState === WebSocket.OPEN) c.send(msg);
   });
 }
 
+function sendMetrics(res) {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.set('Cache-Control', 'no-store');
+  res.send(renderMetrics());
+}
+
+// --- Pairing ---
+
+const PORT = process.env.PORT || 3000;
+const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
+
+async function printPairingQr() {
+  const { code } = createPairingCode();
+  const url = pairingUrl(code, PORT);
+  try {
+    const qr = await QRCode.toString(url, { type: 'terminal', small: true });
+    console.log(`\n[Pair] Scan to pair an operator device (one-time code):\n${qr}`);
+    console.log(`[Pair] ${url}\n`);
+  } catch (e) {
+    console.error(`[Pair] Could not render QR code: ${e.message}`);
+    console.log(`[Pair] ${url}`);
+  }
+}
+
 // --- Main ---
 
 function main() {
-  initDiscovery(broadcastCascadeList, broadcastSnapshotUpdate);
+  initDiscovery(broadcastCascadeList, broadcastSnapshotUpdate, needsPolling, broadcastStylesUpdate, broadcastCascadeRenamed);
 
   const app = express();
   const server = http.createServer(app);
-  const wss = new WebSocketServer({ server });
+  const wss = new WebSocketServer({ server, verifyClient: verifyWsClient });
 
+  app.use(securityHeaders);
   app.use(express.json({ limit: '1mb' }));
+
+  // --- Routes: Auth ---
+
+  app.post('/login', (req, res) => {
+    const passcode = (req.body?.passcode || '').toString();
+    const check = checkPasscode(clientIp(req), passcode);
+    if (!check.ok) return res.status(check.status).json({ success: false, reason: check.reason });
+    const { device, token } = startSession(req, res, 'passcode', check.role);
+    console.log(`[Auth] ${check.role} login from ${clientIp(req)} (device ${device.id})`);
+    res.json({ success: true, token, deviceId: device.id, role: device.role });
+  });
+
+  // The QR link only shows a confirm page: link previews and scanners fetch
+  // URLs on their own, and a GET must not use up the one-time code.
+  app.get('/pair', (req, res) => {
+    res.sendFile(join(PROJECT_DIR, 'public', 'pair.html'));
+  });
+
+  app.post('/pair', (req, res) => {
+    const code = (req.body?.code || '').toString();
+    const role = consumePairingCode(code);
+    if (!role) return res.status(401).json({ success: false, reason: 'Pairing code expired or already used' });
+    const { device } = startSession(req, res, 'pairing', role);
+    console.log(`[Auth] Paired new ${role} device ${device.id} (${device.name}) from ${clientIp(req)}`);
+    res.json({ success: true, deviceId: device.id, role: device.role });
+  });
+
+  // Scrapers cannot sign in: a configured metrics token is accepted ahead of
+  // the session gate. Without one, /metrics is an operator route.
+  app.get('/metrics', (req, res, next) => {
+    if (!hasMetricsToken(req)) return next();
+    sendMetrics(res);
+  });
+
+  app.use(requireAuth);
+
+  app.post('/logout', (req, res) => {
+    revokeDevice(req.session.did);
+    disconnectDevice(req.session.did);
+    clearSessionCookie(res);
+    res.json({ success: true });
+  });
+
+  app.get('/api/session', (req, res) => {
+    res.json({
+      authenticated: true,
+      deviceId: req.session.did,
+      role: req.session.role,
+      canReveal: REDACT_REVEAL_ROLES.includes(req.session.role),
+      exp: req.session.exp,
+      preferences: getDevicePreferences(req.session.did)
+    });
+  });
+
+  // Preferences belong to the calling device, so viewers may set their own.
+  app.put('/api/preferences', (req, res) => {
+    const theme = req.body?.theme;
+    if (theme !== undefined && !THEME_MODES.includes(theme)) {
+      return res.status(400).json({ error: `theme must be one of ${THEME_MODES.join(', ')}` });
+    }
+    const preferences = setDevicePreferences(req.session.did, { theme });
+    if (!preferences) return res.status(404).json({ error: 'Unknown device' });
+    res.json(preferences);
+  });
+
   app.use(express.static(join(PROJECT_DIR, 'public')));
 
+  // Everything below is operator-only unless listed as a viewer route.
+  app.use(requireOperatorUnlessViewerRoute);
+
+  app.get('/metrics', (req, res) => sendMetrics(res));
+
+  // --- Routes: Devices ---
+
+  app.get('/devices', (req, res) => {
+    pruneExpiredDevices();
+    const list = Array.from(devices.values())
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .map(d => ({
+        id: d.id,
+        name: d.name,
+        method: d.method,
+        role: d.role,
+        ip: d.ip,
+        createdAt: d.createdAt,
+        lastSeen: d.lastSeen,
+        current: d.id === req.session.did
+      }));
+    res.json({ devices: list });
+  });
+
+  app.patch('/devices/:id', (req, res) => {
+    const name = (req.body?.name || '').toString().trim();
+    const role = req.body?.role;
+    if (!name && !role) return res.status(400).json({ error: 'Nothing to update' });
+    if (role && !ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    const device = updateDevice(req.params.id, { name, role });
+    if (!device) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true, name: device.name, role: device.role });
+  });
+
+  app.delete('/devices/:id', (req, res) => {
+    if (!revokeDevice(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    console.log(`[Auth] Revoked device ${req.params.id}`);
+    disconnectDevice(req.params.id);
+    if (req.params.id === req.session.did) clearSessionCookie(res);
+    res.json({ success: true });
+  });
+
+  app.post('/api/pairing', async (req, res) => {
+    const role = req.body?.role || 'operator';
+    if (!ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    const { code, expiresAt } = createPairingCode(role);
+    const url = pairingUrl(code, PORT);
+    try {
+      const svg = await QRCode.toString(url, { type: 'svg', margin: 1 });
+      res.json({ url, expiresAt, role, svg });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // --- Routes: Styles & Snapshots ---
 
   app.get('/styles/:id', (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
-    res.json({ css: c.css || '' });
+    // Revalidated on every load; unchanged styles come back as a bodiless 304.
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('ETag', `"${c.cssHash}"`);
+    res.json({ css: c.css || '', hash: c.cssHash });
+  });
+
+  app.get('/asset/:hash', (req, res) => {
+    const asset = getAsset(req.params.hash);
+    if (!asset) return res.status(404).json({ error: 'Not found' });
+    res.type(asset.type);
+    // Content-addressed, so it never changes; sandboxed in case an SVG is opened directly.
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.set('ETag', `"${req.params.hash}"`);
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.send(asset.data);
   });
 
   app.get('/snapshot/:id', (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
+    if (req.query?.seq !== undefined) {
+      const seq = Number(req.query.seq);
+      if (!Number.isInteger(seq)) return res.status(400).json({ error: 'Invalid seq' });
+      const snap = snapshotAtSeq(c.id, seq);
+      if (!snap) return res.status(404).json({ error: 'No such history entry' });
+      return res.json({ ...snap, historical: true });
+    }
+    if (req.query?.at !== undefined) {
+      const at = Number(req.query.at);
+      if (!Number.isFinite(at)) return res.status(400).json({ error: 'Invalid at' });
+      const snap = snapshotAt(c.id, at);
+      if (!snap) return res.status(404).json({ error: 'No snapshot at that time' });
+      return res.json({ ...snap, historical: true });
+    }
     if (req.query?.mode === 'tasks') {
-      captureHTML(c.cdp, { keepInputs: true }).then((snap) => {
+      captureHTML(c.cdp, { keepInputs: true, profile: c.profile }).then((snap) => {
         if (!snap || !snap.html) return res.status(404).json({ error: 'No snapshot' });
+        snap.html = redactHtml(snap.html, c.redactions);
         res.json(snap);
       });
       return;
@@ -79,15 +334,92 @@ function main() {
     res.json(c.snapshot);
   });
 
+  app.get('/history/:id', (req, res) => {
+    const c = getCascade(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    res.json({ cascadeId: c.id, entries: listHistory(c.id) });
+  });
+
+  // --- Routes: Transcript ---
+
+  app.get('/api/transcript/:id', (req, res) => {
+    const c = getCascade(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    let seq, turns;
+    if (req.query?.at !== undefined) {
+      const at = Number(req.query.at);
+      if (!Number.isFinite(at)) return res.status(400).json({ error: 'Invalid at' });
+      const snap = snapshotAt(c.id, at);
+      if (!snap) return res.status(404).json({ error: 'No snapshot at that time' });
+      seq = snap.seq;
+      turns = extractTranscript(snap.html);
+    } else {
+      if (!c.snapshot) return res.status(404).json({ error: 'No snapshot' });
+      seq = c.snapshotSeq;
+      turns = getTranscript(c);
+    }
+    res.json({
+      cascadeId: c.id,
+      seq,
+      title: c.metadata?.chatTitle || '',
+      project: c.metadata?.projectName || '',
+      turns
+    });
+  });
+
+  app.get('/export/:id', (req, res) => {
+    const c = getCascade(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    const format = (req.query?.format || 'md').toString();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!c.snapshot) return res.status(404).json({ error: 'No snapshot' });
+    res.attachment(exportFilename(c, format));
+    res.send(exportConversation(c, format));
+  });
+
+  // --- Routes: Archive & Search ---
+
+  app.get('/api/search', (req, res) => {
+    const q = (req.query?.q || '').toString().trim();
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    const limit = Math.max(1, Math.min(Number(req.query?.limit) || 30, 100));
+    res.json({ query: q, results: searchArchive(q, limit) });
+  });
+
+  app.get('/api/archive', (req, res) => {
+    res.json({ conversations: listArchive() });
+  });
+
+  app.get('/api/archive/:id', (req, res) => {
+    const conv = getArchivedConversation(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'Not found' });
+    res.json(conv);
+  });
+
+  app.post('/reveal/:id', (req, res) => {
+    if (!REDACT_REVEAL_ROLES.includes(req.session.role)) {
+      return res.status(403).json({ error: 'Forbidden: role may not reveal redacted values' });
+    }
+    const c = getCascade(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    const redactId = (req.body?.redactId || '').toString();
+    const secret = c.redactions?.get(redactId);
+    recordAudit(req, 'reveal', c, { redactId, type: secret?.type }, { ok: !!secret, reason: 'unknown id' });
+    if (!secret) return res.status(404).json({ error: 'Unknown redaction' });
+    res.json({ type: secret.type, value: secret.value });
+  });
+
   // --- Routes: Debug ---
 
   app.get('/debug-dom/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
     try {
-      const result = await diagnoseTurnDetection(c.cdp);
+      const result = await diagnoseTurnDetection(c.cdp, c.profile);
       if (result && !result.error) {
-        res.json(result);
+        res.json({ profile: c.profile.name, profileChain: c.profile.chain, ...result });
       } else {
         res.status(500).json({ error: result?.error || 'Failed to analyze DOM' });
       }
@@ -96,18 +428,87 @@ function main() {
     }
   });
 
+  // A download for bug reports: the masked webview DOM plus what turn detection made of it.
+  app.get('/debug-dom/:id/dump', async (req, res) => {
+    const c = getCascade(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    try {
+      const diagnosis = await diagnoseTurnDetection(c.cdp, c.profile);
+      const dom = await dumpDom(c.cdp, c.profile);
+      if (dom.error) return res.status(500).json({ error: dom.error });
+      const detection = diagnosis?.turnDetection;
+      res.attachment(`vsclaude-dom-${c.id}-${new Date().toISOString().slice(0, 10)}.json`);
+      res.json({
+        generatedAt: new Date().toISOString(),
+        server: { version: VERSION, node: process.version },
+        cascade: { id: c.id, profile: c.profile.name, profileChain: c.profile.chain, extensionVersion: c.profile.version },
+        rootSelector: diagnosis?.rootSelector ?? null,
+        // Without the text previews: the dump masks the conversation.
+        turnDetection: detection
+          ? { ...detection, turns: detection.turns.map(({ textPreview, ...turn }) => turn) }
+          : { error: diagnosis?.error || 'Failed to analyze DOM' },
+        url: dom.url,
+        viewport: dom.viewport,
+        html: dom.html
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
   app.get('/api/cascades', (req, res) => {
     const list = Array.from(cascades.values()).map(c => ({
       id: c.id,
       title: c.metadata?.chatTitle || 'Claude',
+      state: c.health.state
     }));
     res.json(list);
   });
 
+  // Why a chat does or does not show up: ports, targets and their scores,
+  // and the last thing that went wrong per cascade.
+  app.get('/api/status', (req, res) => {
+    res.json({
+      now: Date.now(),
+      server: {
+        version: VERSION,
+        node: process.version,
+        startedAt,
+        uptimeMs: Date.now() - startedAt,
+        wsClients: allWsClients.size,
+        pushSubscriptions: pushSubscriptions.size
+      },
+      config: {
+        ports: PORTS,
+        discoveryInterval: DISCOVERY_INTERVAL,
+        targetTypes: TARGET_TYPES,
+        titleKeywords: TARGET_TITLE_KEYWORDS,
+        urlKeywords: TARGET_URL_KEYWORDS,
+        minTextLen: MIN_TEXT_LEN,
+        changeObserver: CHANGE_OBSERVER_ENABLED
+      },
+      discovery: getDiscoveryReport(),
+      cascades: Array.from(cascades.values()).map(c => ({
+        id: c.id,
+        title: c.metadata?.chatTitle || 'Claude',
+        projectName: c.metadata?.projectName || '',
+        windowId: c.metadata?.windowId || null,
+        port: c.port,
+        profile: c.profile.name,
+        extensionVersion: c.profile.version,
+        state: c.health.state,
+        since: c.health.since,
+        reconnectAttempts: c.health.attempts,
+        capturedAt: c.capturedAt || null,
+        lastError: c.lastError || null
+      }))
+    });
+  });
+
   // --- Routes: Send / Click ---
 
   app.post('/send/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
     const message = (req.body?.message || '').toString();
     if (!message.trim()) return res.status(400).json({ error: 'Empty message' });
@@ -115,6 +516,8 @@ function main() {
     const now = Date.now();
     const last = lastSendByCascade.get(c.id);
     if (last && last.text === message && (now - last.ts) < DUP_SEND_WINDOW_MS) {
+      recordAudit(req, 'send', c, { message }, { ok: true, method: 'dedup' });
+      sendResults.inc({ method: 'dedup', result: 'ok' });
       return res.json({ success: true, message: 'dedup' });
     }
 
@@ -122,6 +525,8 @@ function main() {
 
     try {
       const result = await injectMessage(c.cdp, message);
+      recordAudit(req, 'send', c, { message }, result);
+      sendResults.inc({ method: result.method || 'none', result: result.ok ? 'ok' : 'error' });
       if (result.ok) {
         res.json({ success: true, message: result.method });
       } else {
@@ -130,15 +535,18 @@ function main() {
       }
     } catch (err) {
       lastSendByCascade.delete(c.id);
+      recordAudit(req, 'send', c, { message }, { ok: false, reason: err.message || 'Internal error' });
+      sendResults.inc({ method: 'none', result: 'error' });
       res.status(500).json({ success: false, reason: err.message || 'Internal error' });
     }
   });
 
   app.post('/back/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
 
     const result = await clickBack(c.cdp);
+    recordAudit(req, 'back', c, null, result);
     if (result.ok) {
       res.json({ success: true });
       setTimeout(() => refreshSnapshotOnce(req.params.id), 250);
@@ -149,12 +557,13 @@ function main() {
   });
 
   app.post('/select/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
     const text = (req.body?.text || '').toString().trim();
     if (!text) return res.status(400).json({ error: 'Empty text' });
 
     const result = await clickByText(c.cdp, text);
+    recordAudit(req, 'select', c, { text }, result);
     if (result.ok) {
       res.json({ success: true, matched: result.matched });
     } else {
@@ -163,13 +572,14 @@ function main() {
   });
 
   app.post('/view-all/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
 
     let result = await clickViewAll(c.cdp);
     if (!result.ok) {
       result = await clickByText(c.cdp, 'view all');
     }
+    recordAudit(req, 'view-all', c, null, result);
     if (result.ok) {
       res.json({ success: true });
       setTimeout(() => refreshSnapshotOnce(req.params.id), 200);
@@ -181,13 +591,14 @@ function main() {
   });
 
   app.post('/click/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
     const text = (req.body?.text || '').toString().trim();
     if (!text) return res.status(400).json({ error: 'Empty text' });
 
     console.log(`[Click] Forwarding click for: "${text}"`);
     const result = await clickByText(c.cdp, text);
+    recordAudit(req, 'click', c, { text }, result);
     if (result.ok) {
       res.json({ success: true, matched: result.matched });
       setTimeout(() => refreshSnapshotOnce(req.params.id), 200);
@@ -200,12 +611,13 @@ function main() {
   // --- Routes: Conversations ---
 
   app.get('/conversations/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
 
     try {
       const openResult = await evaluateInContexts(c.cdp, `(() => {
-        const btn = document.querySelector('button[title="Past conversations"]');
+        ${pageSelectors(c.profile)}
+        const btn = queryFirst('pastConversationsButton');
         if (!btn) return { error: 'no button' };
         btn.click();
         return { ok: true };
@@ -218,15 +630,16 @@ function main() {
       await new Promise(r => setTimeout(r, 400));
 
       const listResult = await evaluateInContexts(c.cdp, `(() => {
-        const buttons = Array.from(document.querySelectorAll('button[class*="sessionItem"]'));
+        ${pageSelectors(c.profile)}
+        const buttons = queryAll('sessionItem');
         if (!buttons.length) return { items: [] };
 
         const items = buttons.map(btn => {
-          const nameEl = btn.querySelector('[class*="sessionName"]');
-          const timeEl = btn.querySelector('[class*="sessionTime"]');
+          const nameEl = queryFirst('sessionName', btn);
+          const timeEl = queryFirst('sessionTime', btn);
           const title = nameEl ? nameEl.textContent.trim() : (btn.textContent || '').trim();
           const time = timeEl ? timeEl.textContent.trim() : '';
-          const isActive = btn.className.includes('active');
+          const isActive = matchesAny(btn, 'sessionActive');
           return { title, time, active: isActive };
         });
 
@@ -234,7 +647,8 @@ function main() {
       })()`, { validator: v => v && v.items });
 
       await evaluateInContexts(c.cdp, `(() => {
-        const btn = document.querySelector('button[title="Past conversations"]');
+        ${pageSelectors(c.profile)}
+        const btn = queryFirst('pastConversationsButton');
         if (btn) btn.click();
         return { ok: true };
       })()`, { validator: v => v });
@@ -243,7 +657,8 @@ function main() {
     } catch (err) {
       try {
         await evaluateInContexts(c.cdp, `(() => {
-          document.querySelector('button[title="Past conversations"]')?.click();
+          ${pageSelectors(c.profile)}
+          queryFirst('pastConversationsButton')?.click();
           return { ok: true };
         })()`, { validator: v => v });
       } catch {}
@@ -252,22 +667,23 @@ function main() {
   });
 
   app.post('/conversations/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
     const title = (req.body?.title || '').toString().trim();
     if (!title) return res.status(400).json({ error: 'No title' });
 
     try {
       const result = await evaluateInContexts(c.cdp, `(async () => {
-        const btn = document.querySelector('button[title="Past conversations"]');
+        ${pageSelectors(c.profile)}
+        const btn = queryFirst('pastConversationsButton');
         if (!btn) return { error: 'no button' };
         btn.click();
         await new Promise(r => setTimeout(r, 400));
 
         const safeTitle = ${JSON.stringify(title)};
-        const buttons = Array.from(document.querySelectorAll('button[class*="sessionItem"]'));
+        const buttons = queryAll('sessionItem');
         const target = buttons.find(b => {
-          const nameEl = b.querySelector('[class*="sessionName"]');
+          const nameEl = queryFirst('sessionName', b);
           const name = nameEl ? nameEl.textContent.trim() : (b.textContent || '').trim();
           return name.includes(safeTitle);
         });
@@ -279,7 +695,9 @@ function main() {
         return { ok: true };
       })()`, { awaitPromise: true, validator: v => v && (v.ok || v.error) });
 
-      if (result?.value?.ok) {
+      const ok = !!result?.value?.ok;
+      recordAudit(req, 'switch-conversation', c, { title }, { ok, reason: result?.value?.error });
+      if (ok) {
         res.json({ success: true });
         setTimeout(() => refreshSnapshotOnce(req.params.id), 500);
         setTimeout(() => refreshSnapshotOnce(req.params.id), 1500);
@@ -287,6 +705,7 @@ function main() {
         res.status(500).json({ success: false, reason: result?.value?.error || 'unknown' });
       }
     } catch (err) {
+      recordAudit(req, 'switch-conversation', c, { title }, { ok: false, reason: err.message });
       res.status(500).json({ error: err.message });
     }
   });
@@ -294,16 +713,13 @@ function main() {
   // --- Routes: Mode Switch ---
 
   app.get('/mode/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
 
     try {
       const result = await evaluateInContexts(c.cdp, `(() => {
-        const buttons = Array.from(document.querySelectorAll('button'));
-        const modeBtn = buttons.find(b => {
-          const title = (b.getAttribute('title') || '');
-          return title.includes('switch modes');
-        });
+        ${pageSelectors(c.profile)}
+        const modeBtn = queryFirst('modeButton');
         if (!modeBtn) return { mode: null };
         return { mode: (modeBtn.textContent || '').trim() };
       })()`, { validator: v => v });
@@ -315,32 +731,41 @@ function main() {
   });
 
   app.post('/mode/:id', async (req, res) => {
-    const c = cascades.get(req.params.id);
+    const c = getCascade(req.params.id);
     if (!c) return res.status(404).json({ error: 'Not found' });
 
     try {
       const result = await evaluateInContexts(c.cdp, `(async () => {
-        const buttons = Array.from(document.querySelectorAll('button'));
-        const modeBtn = buttons.find(b => {
-          const title = (b.getAttribute('title') || '');
-          return title.includes('switch modes');
-        });
+        ${pageSelectors(c.profile)}
+        const modeBtn = queryFirst('modeButton');
         if (!modeBtn) return { error: 'no mode button' };
         modeBtn.click();
         await new Promise(r => setTimeout(r, 150));
-        const updated = Array.from(document.querySelectorAll('button')).find(b => {
-          const title = (b.getAttribute('title') || '');
-          return title.includes('switch modes');
-        });
+        const updated = queryFirst('modeButton');
         return { ok: true, mode: updated ? (updated.textContent || '').trim() : null };
       })()`, { awaitPromise: true, validator: v => v && (v.ok || v.error) });
 
-      if (result?.value?.ok) {
+      const ok = !!result?.value?.ok;
+      recordAudit(req, 'mode', c, null, { ok, mode: result?.value?.mode, reason: result?.value?.error });
+      if (ok) {
         res.json({ success: true, mode: result.value.mode });
         setTimeout(() => refreshSnapshotOnce(req.params.id), 200);
       } else {
         res.status(500).json({ success: false, reason: result?.value?.error || 'unknown' });
       }
+    } catch (err) {
+      recordAudit(req, 'mode', c, null, { ok: false, reason: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // --- Routes: Audit ---
+
+  app.get('/api/audit', async (req, res) => {
+    const offset = Math.max(0, parseInt(req.query?.offset, 10) || 0);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query?.limit, 10) || 50));
+    try {
+      res.json(await readAudit({ offset, limit }));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -394,18 +819,15 @@ function main() {
 
   // --- WebSocket ---
 
-  wss.on('connection', (ws) => {
-    allWsClients.add(ws);
-    ws.on('close', () => allWsClients.delete(ws));
-    broadcastCascadeList();
-  });
+  wss.on('connection', onWsConnection);
 
   // --- Start Servers ---
 
-  const PORT = process.env.PORT || 3000;
-  const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`VSClaude WebApp running on http://0.0.0.0:${PORT}`);
+    console.log(`[Auth] Operator passcode: ${describePasscode('operator')}`);
+    console.log(`[Auth] Viewer passcode: ${describePasscode('viewer')}`);
+    printPairingQr();
   });
 
   const certDir = join(PROJECT_DIR, 'certs');
@@ -415,12 +837,8 @@ function main() {
       cert: fs.readFileSync(join(certDir, 'cert.pem'))
     };
     const httpsServer = https.createServer(sslOpts, app);
-    const wssSecure = new WebSocketServer({ server: httpsServer });
-    wssSecure.on('connection', (ws) => {
-      allWsClients.add(ws);
-      ws.on('close', () => allWsClients.delete(ws));
-      broadcastCascadeList();
-    });
+    const wssSecure = new WebSocketServer({ server: httpsServer, verifyClient: verifyWsClient });
+    wssSecure.on('connection', onWsConnection);
     httpsServer.listen(HTTPS_PORT, '0.0.0.0', () => {
       console.log(`VSClaude WebApp HTTPS on https://0.0.0.0:${HTTPS_PORT}`);
     });
@@ -430,15 +848,45 @@ function main() {
 
   // --- Polling ---
 
+  // Nobody watching: skip both polled and mutation-triggered captures.
   function needsPolling() {
     return allWsClients.size > 0 || pushSubscriptions.size > 0;
   }
 
+  const timers = [];
+  function startTimers() {
+    timers.splice(0).forEach(clearInterval);
+    timers.push(setInterval(() => discover(), DISCOVERY_INTERVAL));
+    timers.push(setInterval(() => checkHealth(), HEARTBEAT_INTERVAL));
+    timers.push(setInterval(() => {
+      if (needsPolling()) updateSnapshots();
+    }, POLL_INTERVAL));
+  }
+
   discover();
-  setInterval(() => discover(), DISCOVERY_INTERVAL);
-  setInterval(() => {
-    if (needsPolling()) updateSnapshots();
-  }, POLL_INTERVAL);
+  startTimers();
+
+  watchConfig();
+  onConfigChange((changed) => {
+    if (['discoveryInterval', 'heartbeatInterval', 'pollInterval'].some(k => changed.has(k))) startTimers();
+    // New ports, keywords or selectors apply now rather than at the next pass.
+    discover();
+  });
+
+  // --- Shutdown ---
+
+  // Archive writes are batched per interval; write out the pending ones before exiting.
+  let stopping = false;
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      if (stopping) process.exit(1);
+      stopping = true;
+      console.log(`[Server] ${signal}, saving archives...`);
+      setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+      await flushArchives();
+      process.exit(0);
+    });
+  }
 }
 
 main();
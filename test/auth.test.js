@@ -0,0 +1,147 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { PROJECT_DIR } from '../lib/config.js';
+
+// The auth modules read and create their secrets and device list in the
+// project directory; put back whatever was there before.
+const STATE_FILES = ['.auth.json', '.devices.json'].map(name => join(PROJECT_DIR, name));
+const saved = STATE_FILES.map(f => (fs.existsSync(f) ? fs.readFileSync(f) : null));
+after(() => STATE_FILES.forEach((f, i) => (saved[i] ? fs.writeFileSync(f, saved[i], { mode: 0o600 }) : fs.rmSync(f, { force: true }))));
+
+process.env.VSCLAUDE_PASSCODE = 'operator-pass';
+process.env.VSCLAUDE_VIEWER_PASSCODE = 'viewer-pass';
+const {
+  issueToken, verifyToken, checkPasscode, authenticate, requireAuth,
+  requireOperatorUnlessViewerRoute, verifyWsClient, SESSION_COOKIE
+} = await import('../lib/auth.js');
+const { devices } = await import('../lib/devices.js');
+
+function addDevice(id, role, extra = {}) {
+  devices.set(id, { id, role, method: 'pairing', createdAt: Date.now(), expiresAt: 0, ...extra });
+  return issueToken({ sub: 'device', did: id }, 0);
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200, body: null, location: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    redirect(to) { this.location = to; return this; }
+  };
+}
+
+function run(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  middleware({ headers: {}, ...req }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+// --- Tokens ---
+
+test('a token verifies until its payload or signature is touched', () => {
+  const token = issueToken({ sub: 'device', did: 'abc' });
+  assert.equal(verifyToken(token).did, 'abc');
+
+  const [body, sig] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...verifyToken(token), did: 'other' })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${sig}`), null);
+  assert.equal(verifyToken(`${body}.${sig.slice(0, -1)}${sig.endsWith('A') ? 'B' : 'A'}`), null);
+  assert.equal(verifyToken(`${body}.`), null);
+  assert.equal(verifyToken(body), null);
+  assert.equal(verifyToken(null), null);
+});
+
+test('a token stops verifying when it expires; ttl 0 never expires', (t) => {
+  const short = issueToken({ did: 'a' }, 1000);
+  const forever = issueToken({ did: 'b' }, 0);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 365 * 24 * 60 * 60 * 1000);
+  assert.equal(verifyToken(short), null);
+  assert.equal(verifyToken(forever).did, 'b');
+});
+
+// --- Login ---
+
+test('passcodes grant their role and repeated failures are rate limited', () => {
+  assert.deepEqual(checkPasscode('10.0.0.1', 'operator-pass'), { ok: true, role: 'operator' });
+  assert.deepEqual(checkPasscode('10.0.0.1', 'viewer-pass'), { ok: true, role: 'viewer' });
+  assert.equal(checkPasscode('10.0.0.1', '').status, 401);
+
+  for (let i = 0; i < 10; i++) assert.equal(checkPasscode('10.0.0.2', 'wrong').status, 401);
+  // Once limited, even the right passcode is refused; other sources are not affected.
+  assert.equal(checkPasscode('10.0.0.2', 'operator-pass').status, 429);
+  assert.equal(checkPasscode('10.0.0.3', 'operator-pass').ok, true);
+});
+
+test('the rate limit lifts when the window passes', (t) => {
+  for (let i = 0; i < 10; i++) checkPasscode('10.0.0.4', 'wrong');
+  assert.equal(checkPasscode('10.0.0.4', 'viewer-pass').status, 429);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 5 * 60 * 1000 + 1);
+  assert.equal(checkPasscode('10.0.0.4', 'viewer-pass').ok, true);
+});
+
+// --- Sessions ---
+
+test('a session needs a live device and takes its role from it', () => {
+  const token = addDevice('auth-dev', 'viewer');
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  assert.equal(authenticate(req).role, 'viewer');
+  devices.get('auth-dev').role = 'operator';
+  assert.equal(authenticate(req).role, 'operator');
+  // Cookie works too; the query string does not.
+  assert.equal(authenticate({ headers: { cookie: `${SESSION_COOKIE}=${encodeURIComponent(token)}` } }).did, 'auth-dev');
+  assert.equal(authenticate({ headers: {}, url: `/?token=${token}` }), null);
+  devices.delete('auth-dev');
+  assert.equal(authenticate(req), null);
+});
+
+// --- HTTP routes ---
+
+test('requireAuth lets public pages through and turns others away', () => {
+  assert.equal(run(requireAuth, { method: 'GET', path: '/pair.html' }).passed, true);
+  const page = run(requireAuth, { method: 'GET', path: '/', headers: { accept: 'text/html' } });
+  assert.equal(page.passed, false);
+  assert.equal(page.res.location, '/login.html');
+  const api = run(requireAuth, { method: 'GET', path: '/cascades', headers: {} });
+  assert.equal(api.passed, false);
+  assert.equal(api.res.statusCode, 401);
+});
+
+test('viewers reach the read-only routes only', () => {
+  const viewer = path => method => run(requireOperatorUnlessViewerRoute, { method, path, session: { role: 'viewer' } }).passed;
+  assert.equal(viewer('/snapshot/abc')('GET'), true);
+  assert.equal(viewer('/history/abc')('GET'), true);
+  assert.equal(viewer('/api/archive')('GET'), true);
+  assert.equal(viewer('/reveal/abc')('POST'), true);
+
+  assert.equal(viewer('/send/abc')('POST'), false);
+  assert.equal(viewer('/snapshot/abc')('POST'), false);
+  assert.equal(viewer('/snapshot/abc/extra')('GET'), false);
+  assert.equal(viewer('/devices')('GET'), false);
+  assert.equal(viewer('/api/pairing')('POST'), false);
+  const denied = run(requireOperatorUnlessViewerRoute, { method: 'POST', path: '/api/pairing', session: { role: 'viewer' } });
+  assert.equal(denied.res.statusCode, 403);
+
+  assert.equal(run(requireOperatorUnlessViewerRoute, { method: 'POST', path: '/send/abc', session: { role: 'operator' } }).passed, true);
+});
+
+// --- WebSocket upgrades ---
+
+test('WebSocket upgrades need a live device', () => {
+  const upgrade = headers => {
+    const info = { req: { headers } };
+    let result;
+    verifyWsClient(info, (ok, code) => { result = { ok, code, role: info.req.session?.role }; });
+    return result;
+  };
+  const token = addDevice('ws-dev', 'viewer');
+  assert.deepEqual(upgrade({ cookie: `${SESSION_COOKIE}=${token}` }), { ok: true, code: undefined, role: 'viewer' });
+  assert.deepEqual(upgrade({}), { ok: false, code: 401, role: undefined });
+  assert.equal(upgrade({ cookie: `${SESSION_COOKIE}=${token}x` }).ok, false);
+  devices.delete('ws-dev');
+  assert.equal(upgrade({ cookie: `${SESSION_COOKIE}=${token}` }).ok, false);
+});
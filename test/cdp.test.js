@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketServer } from 'ws';
+import { connectCDP } from '../lib/cdp.js';
+
+// A CDP endpoint that records what it is sent and answers only when told to
+// (except Runtime.enable, which connectCDP waits for).
+async function fakeTarget() {
+  const wss = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise(r => wss.once('listening', r));
+  const received = [];
+  let socket;
+  wss.on('connection', (ws) => {
+    socket = ws;
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      if (msg.method === 'Runtime.enable') ws.send(JSON.stringify({ id: msg.id, result: {} }));
+      else received.push(msg);
+    });
+  });
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    received,
+    send: msg => socket.send(JSON.stringify(msg)),
+    drop: () => socket.terminate(),
+    close: () => new Promise((r) => {
+      wss.clients.forEach(ws => ws.terminate());
+      wss.close(r);
+    })
+  };
+}
+
+const tick = () => new Promise(r => setTimeout(r, 20));
+
+test('responses settle their own call and events reach their own session', async (t) => {
+  const target = await fakeTarget();
+  t.after(target.close);
+  const cdp = await connectCDP(target.url);
+  t.after(cdp.cleanup);
+
+  const page = cdp.session('S1');
+  const first = cdp.call('Browser.getVersion');
+  const second = page.call('Runtime.evaluate', { expression: '1' });
+  await tick();
+  assert.deepEqual(target.received.map(m => [m.id, m.method, m.sessionId]), [
+    [2, 'Browser.getVersion', undefined],
+    [3, 'Runtime.evaluate', 'S1']
+  ]);
+  // Answered out of order.
+  target.send({ id: 3, result: { value: 'page' }, sessionId: 'S1' });
+  target.send({ id: 2, error: { message: 'nope' } });
+  assert.deepEqual(await second, { value: 'page' });
+  await assert.rejects(first, { message: 'nope' });
+
+  const seen = [];
+  cdp.on('Runtime.consoleAPICalled', (p, sid) => seen.push(['any', p.n, sid]));
+  page.on('Runtime.consoleAPICalled', p => seen.push(['S1', p.n]));
+  target.send({ method: 'Runtime.consoleAPICalled', params: { n: 1 }, sessionId: 'S1' });
+  target.send({ method: 'Runtime.consoleAPICalled', params: { n: 2 }, sessionId: 'S2' });
+  target.send({ method: 'Runtime.consoleAPICalled', params: { n: 3 } });
+  // Child sessions' contexts are not the target's own.
+  target.send({ method: 'Runtime.executionContextCreated', params: { context: { id: 7 } }, sessionId: 'S1' });
+  target.send({ method: 'Runtime.executionContextCreated', params: { context: { id: 8 } } });
+  await tick();
+  assert.deepEqual(seen, [['any', 1, 'S1'], ['S1', 1], ['any', 2, 'S2'], ['any', 3, undefined]]);
+  assert.deepEqual(cdp.contexts.map(c => c.id), [8]);
+});
+
+test('closing the socket rejects in-flight calls and refuses new ones', async (t) => {
+  const target = await fakeTarget();
+  t.after(target.close);
+  const cdp = await connectCDP(target.url);
+
+  const inFlight = [cdp.call('Target.getTargets'), cdp.session('S1').call('Runtime.evaluate')];
+  await tick();
+  target.drop();
+  for (const call of inFlight) await assert.rejects(call, { message: 'CDP connection closed' });
+  await assert.rejects(cdp.call('Target.getTargets'), /CDP connection closed: Target.getTargets/);
+
+  // Nothing is dispatched any more, even if a stale frame were to arrive.
+  let fired = false;
+  cdp.on('Target.targetCreated', () => { fired = true; });
+  cdp.ws.emit('message', JSON.stringify({ method: 'Target.targetCreated', params: {} }));
+  assert.equal(fired, false);
+});
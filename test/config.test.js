@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+
+// Settings are read once on import, so each case loads the module in a fresh process.
+function changeObserver(value) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [
+    '--input-type=module', '-e',
+    "const m = await import('./lib/config.js'); console.log(m.CHANGE_OBSERVER_ENABLED);"
+  ], { env: { ...process.env, CLAUDE_CHANGE_OBSERVER: value }, encoding: 'utf8' });
+  return { status, out: stdout.trim(), err: stderr + stdout };
+}
+
+test('boolean variables take true, false, 1 and 0 in any case', () => {
+  for (const [raw, expected] of [['1', 'true'], ['TRUE', 'true'], ['true', 'true'], ['0', 'false'], ['False', 'false']]) {
+    assert.equal(changeObserver(raw).out, expected, raw);
+  }
+});
+
+test('other boolean values are a validation error', () => {
+  for (const raw of ['yes', 'off', '2']) {
+    const { status, err } = changeObserver(raw);
+    assert.notEqual(status, 0, raw);
+    assert.match(err, /CLAUDE_CHANGE_OBSERVER must be true or false/, raw);
+  }
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { PROJECT_DIR } from '../lib/config.js';
+import { devices, createPairingCode, consumePairingCode, pruneExpiredDevices } from '../lib/devices.js';
+
+// Pruning saves the device list; leave the project's own file as it was.
+const DEVICES_FILE = join(PROJECT_DIR, '.devices.json');
+const saved = fs.existsSync(DEVICES_FILE) ? fs.readFileSync(DEVICES_FILE) : null;
+after(() => (saved ? fs.writeFileSync(DEVICES_FILE, saved, { mode: 0o600 }) : fs.rmSync(DEVICES_FILE, { force: true })));
+
+// --- Pairing ---
+
+test('a pairing code works once and carries its role', () => {
+  const { code } = createPairingCode('viewer');
+  assert.equal(consumePairingCode(code), 'viewer');
+  assert.equal(consumePairingCode(code), null);
+  assert.equal(consumePairingCode('not-a-code'), null);
+  assert.equal(consumePairingCode(''), null);
+});
+
+test('an expired pairing code is refused and used up', (t) => {
+  const { code, expiresAt } = createPairingCode('operator');
+  t.mock.method(Date, 'now', () => expiresAt + 1);
+  assert.equal(consumePairingCode(code), null);
+  t.mock.restoreAll();
+  assert.equal(consumePairingCode(code), null);
+});
+
+// --- Devices ---
+
+test('expired passcode devices are pruned, paired devices are kept', () => {
+  const now = Date.now();
+  devices.set('prune-old', { id: 'prune-old', role: 'viewer', method: 'passcode', createdAt: now - 2000, expiresAt: now - 1000 });
+  devices.set('prune-live', { id: 'prune-live', role: 'viewer', method: 'passcode', createdAt: now, expiresAt: now + 60000 });
+  devices.set('prune-paired', { id: 'prune-paired', role: 'viewer', method: 'pairing', createdAt: 0, expiresAt: 0 });
+  assert.equal(pruneExpiredDevices(now), 1);
+  assert.deepEqual(['prune-old', 'prune-live', 'prune-paired'].map(id => devices.has(id)), [false, true, true]);
+  ['prune-live', 'prune-paired'].forEach(id => devices.delete(id));
+});
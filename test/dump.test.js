@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { dumpDom } from '../lib/cdp.js';
+import { defaultProfile } from '../lib/profiles.js';
+
+const WEBVIEW = `<body><div id="root"><div class="messages">
+  <div class="turn userMessage"><p title="deploy key AKIA123" data-note="my secret">fix the bug</p>
+    <a href="https://example.com/private/path?q=1">link</a><img alt="You" src="/media/avatar.png"></div>
+  <div class="turn"><pre>const token = 1;</pre><p>Done, the bug is fixed.</p></div>
+  <div class="turn userMessage"><p>thanks</p></div>
+  <div class="turn"><p>Anything else?</p></div>
+</div></div><textarea placeholder="Ask anything">draft reply</textarea><input value="typed"></body>`;
+
+// Evaluates page scripts in a jsdom document, as Runtime.evaluate would in the webview.
+function fakeWebview(html) {
+  const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'https://webview.test/index.html?id=1' });
+  const cdp = {
+    contexts: [],
+    rootContextId: null,
+    call: async (method, params) => (method === 'Runtime.evaluate' ? { result: { value: dom.window.eval(params.expression) } } : {})
+  };
+  return { dom, cdp };
+}
+
+test('the dump masks text, form values and attribute values', async () => {
+  const { cdp } = fakeWebview(WEBVIEW);
+  const { html, url } = await dumpDom(cdp, defaultProfile());
+  assert.equal(url, 'https://webview.test/index.html');
+  for (const secret of ['fix the bug', 'AKIA', 'my secret', 'const token', 'draft', 'typed', 'Ask anything', 'You', 'private', 'avatar']) {
+    assert.ok(!html.includes(secret), secret);
+  }
+  // Lengths survive; structure, classes and URL origins are kept.
+  assert.match(html, /<p title="xxxxxx xxx xxxxxxx" data-note="xx xxxxxx">xxx xxx xxx<\/p>/);
+  assert.match(html, /class="turn userMessage"/);
+  assert.match(html, /href="https:\/\/example.com"/);
+  assert.match(html, /src="https:\/\/webview.test"/);
+});
+
+test('the dump marks the root, the turns container and each turn', async () => {
+  const { dom, cdp } = fakeWebview(WEBVIEW);
+  const { html } = await dumpDom(cdp, defaultProfile());
+  assert.match(html, /id="root" data-debug-root="true"/);
+  assert.match(html, /class="messages" data-debug-turns-container="true"/);
+  assert.deepEqual(html.match(/data-debug-turn="[^"]*"/g), [
+    'data-debug-turn="0:user"', 'data-debug-turn="1:assistant"', 'data-debug-turn="2:user"', 'data-debug-turn="3:assistant"'
+  ]);
+  // The live page is left alone.
+  assert.equal(dom.window.document.querySelector('[data-debug-root], [data-debug-turn]'), null);
+  assert.equal(dom.window.document.querySelector('p').textContent, 'fix the bug');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordHistory, renameHistory, listHistory, snapshotAt, snapshotAtSeq } from '../lib/history.js';
+import { diffHtml } from '../lib/patch.js';
+
+// Enough text that small edits are recorded as patches rather than keyframes.
+const TEXT = 'Lorem ipsum dolor sit amet. '.repeat(20);
+const page = n => `<div id="claude-root"><p>${TEXT}</p><p>reply ${n}</p></div>`;
+
+function record(id, pages) {
+  pages.forEach((html, i) => recordHistory(id, i + 1, html, i ? diffHtml(pages[i - 1], html) : null));
+}
+
+test('entries are found by seq even when they share a timestamp', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const pages = [page(1), page(2), page(3)];
+  record('same-ms', pages);
+  assert.deepEqual(listHistory('same-ms').map(e => e.seq), [1, 2, 3]);
+  assert.equal(snapshotAtSeq('same-ms', 2).html, pages[1]);
+  assert.equal(snapshotAtSeq('same-ms', 1).html, pages[0]);
+  // By time only the newest of them can be reached.
+  assert.equal(snapshotAt('same-ms', 1000).html, pages[2]);
+  assert.equal(snapshotAtSeq('same-ms', 4), null);
+});
+
+test('a rename onto an id with history keeps both and restarts from a keyframe', () => {
+  const kept = [page('kept 1'), page('kept 2')];
+  // A different conversation: its patches don't fit the kept history's snapshots.
+  const list = n => `<div id="claude-root"><p>${TEXT}</p><ul><li>moving ${n}</li></ul></div>`;
+  const moving = [list(1), list(2)];
+  record('rename-target', kept);
+  record('rename-source', moving);
+  assert.equal(renameHistory('rename-source', 'rename-target'), false);
+
+  // The cascade's next capture is diffed against its own last snapshot.
+  const next = list(3);
+  recordHistory('rename-target', 3, next, diffHtml(moving[1], next));
+  assert.equal(snapshotAtSeq('rename-target', 3).html, next);
+  assert.equal(snapshotAtSeq('rename-target', 2).html, kept[1]);
+  assert.equal(snapshotAtSeq('rename-source', 2).html, moving[1]);
+});
+
+test('a rename onto a fresh id moves the history', () => {
+  const pages = [page('a'), page('b')];
+  record('move-source', pages);
+  assert.equal(renameHistory('move-source', 'move-target'), true);
+  assert.equal(snapshotAtSeq('move-target', 2).html, pages[1]);
+  assert.deepEqual(listHistory('move-source'), []);
+});
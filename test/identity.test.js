@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignIds, candidateId } from '../lib/identity.js';
+
+const panel = (workspace, chatTitle, extra = {}) => ({ id: null, metadata: { workspace, chatTitle }, ...extra });
+
+function assign(found) {
+  const renamed = [];
+  const map = assignIds(found, {
+    adopt: () => {},
+    rename: (c, newId) => {
+      renamed.push([c.id, newId]);
+      c.id = newId;
+    }
+  });
+  return { map, renamed };
+}
+
+test('a title change or conversation switch keeps the id', () => {
+  const c = panel('/ws/title', 'New chat');
+  assign([c]);
+  const id = c.id;
+  assert.equal(id, candidateId('/ws/title', 0));
+  c.metadata.chatTitle = 'Fix the login bug';
+  const { renamed } = assign([c]);
+  assert.equal(c.id, id);
+  assert.deepEqual(renamed, []);
+});
+
+test('panels of one workspace are numbered in creation order, not listing order', () => {
+  const older = panel('/ws/order', 'A', { firstSeen: 100, listIndex: 1 });
+  const newer = panel('/ws/order', 'B', { firstSeen: 200, listIndex: 0 });
+  assign([newer, older]);
+  assert.equal(older.id, candidateId('/ws/order', 0));
+  assert.equal(newer.id, candidateId('/ws/order', 1));
+});
+
+test('reloaded panels get their own ids back by title', () => {
+  const a = panel('/ws/reload', 'Alpha', { firstSeen: 1 });
+  const b = panel('/ws/reload', 'Beta', { firstSeen: 2 });
+  assign([a, b]);
+  assign([]);
+  // Both webviews reload; this time Beta's target happens to come first.
+  const b2 = panel('/ws/reload', 'Beta', { firstSeen: 3 });
+  const a2 = panel('/ws/reload', 'Alpha', { firstSeen: 4 });
+  assign([a2, b2]);
+  assert.equal(a2.id, a.id);
+  assert.equal(b2.id, b.id);
+});
+
+test('known limitation: a new panel with an unknown title takes the lowest free id', () => {
+  const a = panel('/ws/limit', 'Alpha', { firstSeen: 1 });
+  const b = panel('/ws/limit', 'Beta', { firstSeen: 2 });
+  assign([a, b]);
+  // Alpha's panel closes and an unrelated one opens: it continues Alpha's id.
+  const c = panel('/ws/limit', 'Gamma', { firstSeen: 3 });
+  assign([b, c]);
+  assert.equal(b.id, candidateId('/ws/limit', 1));
+  assert.equal(c.id, a.id);
+});
+
+test('a panel whose window opens another workspace is renamed', () => {
+  const c = panel('/ws/before', 'Chat');
+  assign([c]);
+  const oldId = c.id;
+  c.metadata.workspace = '/ws/after';
+  const { map, renamed } = assign([c]);
+  assert.deepEqual(renamed, [[oldId, candidateId('/ws/after', 0)]]);
+  assert.equal(map.get(c.id), c);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffHtml, applyPatch } from '../lib/patch.js';
+
+// Enough text that a small patch stays under the size at which a full fetch is cheaper.
+const TEXT = 'Lorem ipsum dolor sit amet. '.repeat(20);
+const svg = (box, extra = '') =>
+  `<div id="claude-root"><svg viewBox="${box}" ${extra}><path d="M0 0"></path></svg><p data-state="a">${TEXT}</p></div>`;
+
+test('attribute ops on SVG elements use their camelCase names', () => {
+  const ops = diffHtml(svg('0 0 10 10'), svg('0 0 20 20', 'preserveAspectRatio="none"'));
+  assert.deepEqual(ops, [{
+    op: 'attrs', path: [0], name: 'SVG', set: { viewBox: '0 0 20 20', preserveAspectRatio: 'none' }, remove: []
+  }]);
+  assert.deepEqual(diffHtml(svg('0 0 10 10', 'preserveAspectRatio="none"'), svg('0 0 10 10'))[0].remove, ['preserveAspectRatio']);
+});
+
+test('HTML attribute names are left as parsed', () => {
+  const ops = diffHtml(svg('0 0 10 10'), svg('0 0 10 10').replace('data-state="a"', 'data-state="b" viewBox="x"'));
+  assert.deepEqual(ops[0].set, { 'data-state': 'b', viewbox: 'x' });
+});
+
+test('applyPatch accepts camelCase attribute ops', () => {
+  const before = svg('0 0 10 10');
+  const after = svg('0 0 20 20', 'preserveAspectRatio="none"');
+  assert.equal(applyPatch(before, diffHtml(before, after)), applyPatch(after, []));
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSnapshotHtml } from '../lib/sanitize.js';
+
+const clean = html => sanitizeSnapshotHtml(html);
+
+test('drops <script> with its content', () => {
+  const out = clean('<div>a<script>alert(1)</script>b</div>');
+  assert.equal(out, '<div>ab</div>');
+});
+
+test('drops on* event handlers', () => {
+  const out = clean('<div onclick="alert(1)" onmouseover="x()">a</div><img src="https://x/a.png" onerror="alert(1)">');
+  assert.doesNotMatch(out, /\bon\w+=/i);
+  assert.match(out, /<div>a<\/div>/);
+});
+
+test('drops javascript: and vbscript: hrefs, however they are written', () => {
+  for (const href of ['javascript:alert(1)', ' JaVaScRiPt:alert(1)', 'java&#x09;script:alert(1)', 'vbscript:msgbox(1)']) {
+    const out = clean(`<a href="${href}">x</a>`);
+    assert.doesNotMatch(out, /href=/, href);
+  }
+  assert.match(clean('<a href="https://example.com/">x</a>'), /href="https:\/\/example.com\/"/);
+});
+
+test('drops <iframe>, <object> and <embed> with their content', () => {
+  const out = clean('<iframe src="https://evil"><p>in</p></iframe><object data="x.swf">o</object><embed src="x.swf"><p>kept</p>');
+  assert.equal(out, '<p>kept</p>');
+});
+
+test('drops srcdoc', () => {
+  const out = clean('<iframe srcdoc="<script>alert(1)</script>"></iframe><div srcdoc="x">k</div>');
+  assert.equal(out, '<div>k</div>');
+});
+
+test('drops data: SVG images but keeps raster data: images', () => {
+  assert.equal(clean('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '');
+  assert.equal(clean('<img src=" DATA:image/SVG+xml,<svg onload=alert(1)>">'), '');
+  assert.match(clean('<img src="data:image/png;base64,iVBORw0KGgo=">'), /src="data:image\/png/);
+});
+
+test('strips CSS expression() and url(javascript:) but keeps the safe declarations', () => {
+  assert.equal(clean('<div style="color:red;width:expression(alert(1))">a</div>'), '<div style="color:red">a</div>');
+  assert.equal(clean('<div style="color:red;background:url(javascript:alert(1))">a</div>'), '<div style="color:red">a</div>');
+  assert.equal(clean('<div style="background:url(&quot;javascript:alert(1)&quot;)">a</div>'), '<div>a</div>');
+});
+
+test('strips protocol-relative url(//host) and url(/\\host)', () => {
+  assert.equal(clean('<div style="background:url(//evil.example/x.png)">a</div>'), '<div>a</div>');
+  assert.equal(clean('<div style="background:url(\'//evil.example/x.png\')">a</div>'), '<div>a</div>');
+  assert.equal(clean('<div style="background:url(/\\evil.example/x.png)">a</div>'), '<div>a</div>');
+});
+
+test('keeps quoted and unquoted safe urls', () => {
+  for (const url of ["'https://example.com/a.png'", '"https://example.com/a.png"', 'https://example.com/a.png', '/asset/abc', "'#grad'", "'data:image/png;base64,AAAA'"]) {
+    const out = clean(`<div style="background:url(${url.replace(/"/g, '&quot;')})">a</div>`);
+    assert.match(out, /style="background:url\(/, url);
+  }
+});
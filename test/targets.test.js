@@ -0,0 +1,72 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+// A browser endpoint that reports a fixed set of targets over the Target domain.
+const page = (targetId, extra = {}) => ({ targetId, type: 'page', title: targetId, url: `vscode-file://${targetId}`, ...extra });
+const frame = targetId => ({ targetId, type: 'iframe', title: targetId, url: `vscode-webview://${targetId}` });
+const TARGETS = [
+  page('window'),
+  page('auxiliary', { openerId: 'window' }),
+  page('orphan', { openerId: 'closed-window' }),
+  frame('chat-in-window'),
+  frame('chat-in-auxiliary'),
+  frame('unattached')
+];
+// sessionId -> [targetId, parent sessionId]
+const ATTACHED = {
+  's-window': ['window'],
+  's-auxiliary': ['auxiliary'],
+  's-orphan': ['orphan'],
+  's-chat-1': ['chat-in-window', 's-window'],
+  's-chat-2': ['chat-in-auxiliary', 's-auxiliary']
+};
+
+const server = http.createServer((req, res) => {
+  res.end(JSON.stringify({ webSocketDebuggerUrl: `ws://127.0.0.1:${server.address().port}/devtools/browser/1` }));
+});
+const wss = new WebSocketServer({ server });
+wss.on('connection', (ws) => {
+  const send = msg => ws.send(JSON.stringify(msg));
+  ws.on('message', (raw) => {
+    const { id, method, sessionId } = JSON.parse(raw);
+    if (method === 'Target.setDiscoverTargets') {
+      for (const targetInfo of TARGETS) send({ method: 'Target.targetCreated', params: { targetInfo } });
+    } else if (method === 'Target.setAutoAttach' && !sessionId) {
+      for (const [sid, [targetId, parent]] of Object.entries(ATTACHED)) {
+        const targetInfo = TARGETS.find(t => t.targetId === targetId);
+        send({ method: 'Target.attachedToTarget', params: { sessionId: sid, targetInfo }, ...(parent && { sessionId: parent }) });
+      }
+    }
+    send({ id, result: {} });
+  });
+});
+await new Promise(r => server.listen(0, '127.0.0.1', r));
+after(() => {
+  wss.clients.forEach(ws => ws.terminate());
+  server.close();
+});
+
+process.env.CLAUDE_CDP_PORTS = String(server.address().port);
+const { listTargets } = await import('../lib/targets.js');
+
+test('targets are attributed to the window that owns them', async () => {
+  const { targets, ports } = await listTargets();
+  assert.equal(ports[0].mode, 'browser');
+  const windowOf = Object.fromEntries(targets.map(t => [t.id, t.windowId]));
+  assert.deepEqual(windowOf, {
+    window: 'window',
+    // Auxiliary editor windows belong to the window that opened them.
+    auxiliary: 'window',
+    // An opener that is gone leaves the page as its own window.
+    orphan: 'orphan',
+    'chat-in-window': 'window',
+    'chat-in-auxiliary': 'window',
+    unattached: null
+  });
+  const unattached = targets.find(t => t.id === 'unattached');
+  // Its parent may still attach, so it is held back for now.
+  assert.equal(unattached.pending, true);
+  assert.equal(targets.find(t => t.id === 'chat-in-auxiliary').windowTitle, 'window');
+});
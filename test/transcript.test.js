@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractTranscript } from '../lib/transcript.js';
+
+const user = text => `<div data-msg-type="user"><p>${text}</p></div>`;
+const reply = text => `<div data-msg-type="assistant"><p>${text}</p></div>`;
+const page = (...turns) => `<div id="claude-root">${turns.join('')}</div>`;
+const ids = html => extractTranscript(html).map(t => [t.role, t.id]);
+
+test('turn ids stay the same while a reply streams', () => {
+  const before = extractTranscript(page(user('Fix the test'), reply('Looking')));
+  const after = extractTranscript(page(user('Fix the test'), reply('Looking at the failing test now'), reply('Done.')));
+  assert.deepEqual(after.map(t => t.id), before.map(t => t.id));
+  // Only the content hash of the growing reply changes.
+  assert.notEqual(after[1].hash, before[1].hash);
+  assert.equal(after[1].text, 'Looking at the failing test now\n\nDone.');
+});
+
+test('turn ids survive earlier turns scrolling out', () => {
+  const full = ids(page(user('One'), reply('First'), user('Two'), reply('Second')));
+  assert.deepEqual(ids(page(reply('First'), user('Two'), reply('Second'))).slice(1), full.slice(2));
+});
+
+test('a repeated prompt gets its own id', () => {
+  const [first, , second, secondReply] = ids(page(user('Again'), reply('A'), user('Again'), reply('B')));
+  assert.notEqual(first[1], second[1]);
+  assert.equal(secondReply[0], 'assistant');
+  assert.equal(new Set([first[1], second[1], secondReply[1]]).size, 3);
+});
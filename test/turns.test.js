@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTurns } from '../lib/turns.js';
+
+const turns = ['t1', 't2', 't3', 't4'];
+const strategy = (name, users, confidence) => ({ name, detect: () => (users ? { users, confidence } : null) });
+const STRATEGIES = [
+  strategy('silent', null),
+  strategy('first', ['t1'], 0.5),
+  strategy('second', ['t1', 't3'], 0.4),
+  { name: 'broken', detect: () => { throw new Error('no container'); } },
+  strategy('third', ['t3'], 0.3)
+];
+
+test('fallback takes the first strategy that found user turns', () => {
+  const result = detectTurns({ turns }, STRATEGIES, 'fallback');
+  assert.deepEqual(result.users, ['t1']);
+  assert.equal(result.strategy, 'first');
+  assert.equal(result.confidence, 0.5);
+  assert.deepEqual(result.found.map(r => r.name), ['first', 'second', 'third']);
+});
+
+test('vote takes turns backed by more than half of the confidence', () => {
+  const result = detectTurns({ turns }, STRATEGIES, 'vote');
+  // t1: 0.9 of 1.2, t3: 0.7 of 1.2.
+  assert.deepEqual(result.users, ['t1', 't3']);
+  assert.equal(result.strategy, 'vote');
+  // Average agreement (0.9 + 1.2 + 0.7 + 1.2) / 4.8, scaled by the best strategy's 0.5.
+  assert.equal(result.confidence, 0.42);
+});
+
+test('every strategy is reported, failures included', () => {
+  const { strategies } = detectTurns({ turns }, STRATEGIES, 'vote');
+  assert.deepEqual(strategies, [
+    { name: 'silent', confidence: 0, userTurns: 0 },
+    { name: 'first', confidence: 0.5, userTurns: 1 },
+    { name: 'second', confidence: 0.4, userTurns: 2 },
+    { name: 'broken', confidence: 0, userTurns: 0, error: 'no container' },
+    { name: 'third', confidence: 0.3, userTurns: 1 }
+  ]);
+});
+
+test('nothing found is an empty result in either mode', () => {
+  for (const mode of ['fallback', 'vote']) {
+    const result = detectTurns({ turns }, [STRATEGIES[0], STRATEGIES[3]], mode);
+    assert.deepEqual([result.users, result.strategy, result.confidence], [[], null, 0]);
+  }
+});